@@ -0,0 +1,244 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { extractImagePaths, resolveImagePath } = require("./images.cjs");
+const { collectCodeIncludes } = require("./code.cjs");
+const { safeDecode } = require("./links.cjs");
+const { chapterTitle } = require("./document.cjs");
+
+// Kept in the output directory, next to the outputs it describes
+const CACHE_FILE = ".md2pdf-cache.json";
+
+// Bumped when the cache layout or what goes into a hash changes
+const CACHE_VERSION = 1;
+
+// Packages whose version changes the rendered output
+const RENDERING_PACKAGES = [
+  "markdown-it",
+  "highlight.js",
+  "katex",
+  "mermaid",
+  "puppeteer",
+];
+
+// Hash strings and buffers into one hex digest
+function hashOf(...parts) {
+  const hash = crypto.createHash("sha256");
+  parts.forEach((part) => hash.update(part).update("\0"));
+  return hash.digest("hex");
+}
+
+// Hash a file's contents, or mark it missing
+function fileHash(file) {
+  return fs.existsSync(file) && fs.statSync(file).isFile()
+    ? hashOf(fs.readFileSync(file))
+    : "missing";
+}
+
+// Version of an installed package, as a cache key part
+function packageVersion(name) {
+  try {
+    return require(`${name}/package.json`).version;
+  } catch (err) {
+    return "unknown";
+  }
+}
+
+// Hash of everything shared by all outputs: the tool and renderer versions,
+// the options that change rendering, stylesheets and plugins
+function settingsHash(settings) {
+  const options = {
+    format: settings.format,
+    single: settings.single,
+    paper: settings.paper,
+    pageLayout: settings.pageLayout,
+    remap: settings.remap,
+    theme: settings.theme,
+    highlightTheme: settings.highlightTheme,
+    style: settings.style,
+    offline: settings.offline,
+    remoteImages: settings.remoteImages,
+    outline: settings.outline,
+    tocPageNumbers: settings.tocPageNumbers,
+    tocMinLevel: settings.tocMinLevel,
+    tocMaxLevel: settings.tocMaxLevel,
+    cover: settings.cover,
+    math: settings.math,
+    syntax: settings.syntax,
+    // Plugin hooks count by their source, since they can change anything
+    plugins: settings.plugins,
+  };
+  const serialized = JSON.stringify(options, (key, value) =>
+    value instanceof RegExp || typeof value === "function"
+      ? String(value)
+      : value
+  );
+
+  return hashOf(
+    String(CACHE_VERSION),
+    packageVersion(path.join(__dirname, "..")),
+    RENDERING_PACKAGES.map((name) => `${name}@${packageVersion(name)}`).join(),
+    serialized,
+    ...(settings.css || []).map(fileHash),
+    settings.cover && settings.cover.logo ? fileHash(settings.cover.logo) : ""
+  );
+}
+
+// Hash of one document: its Markdown with includes expanded, front matter,
+// chapter entry and the files its images and code blocks read
+function documentHash(document, context) {
+  const images = extractImagePaths(document.content).map((imagePath) => {
+    const file = resolveImagePath(
+      document.file,
+      safeDecode(imagePath),
+      context.imagePathConfig
+    );
+    return file ? fileHash(file) : imagePath;
+  });
+  const codeIncludes = collectCodeIncludes(document, context.md).map(
+    ({ file }) => fileHash(file)
+  );
+
+  return hashOf(
+    path.resolve(document.file),
+    document.content,
+    JSON.stringify(document.frontMatter),
+    JSON.stringify(document.chapter || null),
+    ...images,
+    ...codeIncludes
+  );
+}
+
+// Read the cache of an output directory, starting over if it is unreadable
+function readCache(file) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (cache.version === CACHE_VERSION && cache.entries) return cache;
+  } catch (err) {
+    // Missing or corrupt; every output is rebuilt
+  }
+  return { version: CACHE_VERSION, entries: {} };
+}
+
+// Track which outputs are up to date with their inputs. Documents are keyed
+// by format and source file, combined outputs by format alone.
+function createBuildCache(settings, context, allDocuments) {
+  const outputDir = path.resolve(settings.output);
+  const cacheFile = path.join(outputDir, CACHE_FILE);
+  const cache = readCache(cacheFile);
+  const { format } = settings;
+
+  // Links are rewritten against the full document list, so changing it
+  // changes every output. Site pages also show every title, part and
+  // nesting level in their navigation.
+  const shared = hashOf(
+    settingsHash(settings),
+    ...allDocuments.map((document) => path.resolve(document.file)),
+    ...(format === "html-site"
+      ? allDocuments.map((document) =>
+          JSON.stringify([chapterTitle(document), document.chapter || null])
+        )
+      : [])
+  );
+  const hashes = new Map(
+    allDocuments.map((document) => [
+      path.resolve(document.file),
+      hashOf(shared, documentHash(document, context)),
+    ])
+  );
+
+  const keyOf = (document) => `${format}:${path.resolve(document.file)}`;
+  const combinedKey = `${format}:combined`;
+  const combinedHash = () => hashOf(shared, ...hashes.values());
+
+  // Whether an entry matches its inputs and its output is still there
+  const isFresh = (key, hash) => {
+    const entry = cache.entries[key];
+    return (
+      entry !== undefined &&
+      entry.hash === hash &&
+      fs.existsSync(path.resolve(outputDir, entry.output))
+    );
+  };
+
+  // The result a cached entry stands for, as convert() reports it
+  const cachedResult = (key) => ({
+    inputs: cache.entries[key].inputs,
+    output: path.join(settings.output, cache.entries[key].output),
+    cached: true,
+  });
+
+  return {
+    // Split documents into those to render and results of cached outputs
+    plan(documents) {
+      if (settings.single) {
+        return isFresh(combinedKey, combinedHash())
+          ? { pending: [], cached: [cachedResult(combinedKey)] }
+          : { pending: documents, cached: [] };
+      }
+
+      const pending = documents.filter(
+        (document) =>
+          !isFresh(keyOf(document), hashes.get(path.resolve(document.file)))
+      );
+      const cached = documents
+        .filter((document) => !pending.includes(document))
+        .map((document) => cachedResult(keyOf(document)));
+      return { pending, cached };
+    },
+
+    // Remember the inputs of freshly written outputs
+    update(results) {
+      results.forEach(({ inputs, output }) => {
+        const key = settings.single
+          ? combinedKey
+          : `${format}:${path.resolve(inputs[0])}`;
+        const previous = cache.entries[key];
+        const relativeOutput = path.relative(outputDir, path.resolve(output));
+
+        // An output that moved, e.g. when the source root changed, leaves
+        // nothing behind at its old path
+        if (previous && previous.output !== relativeOutput) {
+          fs.rmSync(path.resolve(outputDir, previous.output), { force: true });
+        }
+        cache.entries[key] = {
+          hash: settings.single
+            ? combinedHash()
+            : hashes.get(path.resolve(inputs[0])),
+          inputs,
+          output: relativeOutput,
+        };
+      });
+    },
+
+    // Delete outputs whose source is gone from the build, returning them
+    removeStale() {
+      const removed = [];
+
+      Object.keys(cache.entries).forEach((key) => {
+        if (!key.startsWith(`${format}:`) || key === combinedKey) return;
+        const source = key.slice(format.length + 1);
+        if (hashes.has(source)) return;
+
+        const output = path.resolve(outputDir, cache.entries[key].output);
+        if (fs.existsSync(output)) {
+          fs.unlinkSync(output);
+          removed.push(output);
+        }
+        delete cache.entries[key];
+      });
+
+      return removed;
+    },
+
+    save() {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(cacheFile, `${JSON.stringify(cache, null, 2)}\n`);
+    },
+  };
+}
+
+module.exports = {
+  CACHE_FILE,
+  createBuildCache,
+};
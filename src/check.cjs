@@ -0,0 +1,32 @@
+const { checkDocuments } = require("./references.cjs");
+const {
+  normalizeOptions,
+  resolveDocuments,
+  createContext,
+} = require("./convert.cjs");
+
+/**
+ * Check the images, in-page anchors and links of the selected documents
+ * without rendering anything. Takes the same options as convert(), plus:
+ *
+ * @param {object} options
+ * @param {string[]} [options.remoteAllowlist] URL prefixes or host names that
+ *   remote links and images may use; remote URLs are not checked without it
+ * @returns {Promise<{ok: boolean, documents: number, references: number,
+ *   problems: Array<{file: string, line: number, type: string,
+ *   target: string, message: string}>}>} The check report; `type` is one of
+ *   image, anchor, link, remote or include
+ */
+async function check(options) {
+  const settings = normalizeOptions(options);
+  const documents = resolveDocuments(settings);
+  const { md, imagePathConfig } = createContext(settings);
+
+  return checkDocuments(documents, {
+    md,
+    imagePathConfig,
+    remoteAllowlist: settings.remoteAllowlist,
+  });
+}
+
+module.exports = { check };
@@ -0,0 +1,254 @@
+const fs = require("fs");
+const path = require("path");
+const hljs = require("highlight.js");
+const { sourceLocation } = require("./includes.cjs");
+
+// Parts of a fence info string: {ranges}, key="value" pairs and bare words
+const INFO_PART_REGEX = /\{[^}]*\}|[\w-]+=(?:"[^"]*"|'[^']*'|\S+)|\S+/g;
+
+// Line ranges like 3-5,8 as a set of line numbers
+function parseLineRanges(spec) {
+  const lines = new Set();
+
+  spec.split(",").forEach((part) => {
+    const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) return;
+    const start = Number(range[1]);
+    const end = range[2] ? Number(range[2]) : start;
+    for (let line = start; line <= end; line++) lines.add(line);
+  });
+
+  return lines;
+}
+
+// Read the options of a fence from its info string, e.g.
+// js {3-5} title="server.js" showLineNumbers include="../src/app.js#L10-L20"
+function parseFenceInfo(info) {
+  const options = {
+    lang: "",
+    highlight: new Set(),
+    title: null,
+    lineNumbers: false,
+    startLine: null,
+    include: null,
+  };
+
+  (info.trim().match(INFO_PART_REGEX) || []).forEach((part, index) => {
+    if (part.startsWith("{")) {
+      parseLineRanges(part.slice(1, -1)).forEach((line) =>
+        options.highlight.add(line)
+      );
+      return;
+    }
+
+    const pair = part.match(/^([\w-]+)=(.*)$/);
+    if (!pair) {
+      if (part === "showLineNumbers") options.lineNumbers = true;
+      else if (index === 0) options.lang = part;
+      return;
+    }
+
+    const value = pair[2].replace(/^(["'])(.*)\1$/, "$2");
+    if (pair[1] === "title") options.title = value;
+    if (pair[1] === "include") options.include = value;
+    // showLineNumbers=10 numbers the lines from 10
+    if (pair[1] === "showLineNumbers" && /^\d+$/.test(value)) {
+      options.lineNumbers = true;
+      options.startLine = Number(value);
+    }
+  });
+
+  return options;
+}
+
+// Read the file, or the line range like #L10-L20, an include points at
+function readInclude(spec, fromFile) {
+  const [target, range] = spec.split("#");
+  const baseDir = fromFile ? path.dirname(fromFile) : process.cwd();
+  const file = path.resolve(baseDir, target);
+
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new Error(`File not found: ${target}`);
+  }
+  const lines = fs
+    .readFileSync(file, "utf-8")
+    .replace(/\r\n/g, "\n")
+    .replace(/\n$/, "")
+    .split("\n");
+
+  if (!range) return { file, content: `${lines.join("\n")}\n`, startLine: 1 };
+
+  const match = range.match(/^L(\d+)(?:-L?(\d+))?$/);
+  if (!match) {
+    throw new Error(
+      `Invalid line range #${range} in ${spec}, expected #L10 or #L10-L20`
+    );
+  }
+  const start = Number(match[1]);
+  const end = match[2] ? Number(match[2]) : start;
+  if (start < 1 || end < start || end > lines.length) {
+    throw new Error(
+      `Lines ${start}-${end} are outside ${target} (${lines.length} lines)`
+    );
+  }
+
+  return {
+    file,
+    content: `${lines.slice(start - 1, end).join("\n")}\n`,
+    startLine: start,
+  };
+}
+
+// Core rule: read each fence's options before attribute syntax can strip
+// {ranges} from the info string, and fill fences that include a file with
+// its contents. Errors are kept on the token and in env.includeErrors for
+// the caller to report.
+function codeFences(state) {
+  state.tokens.forEach((token) => {
+    if (token.type !== "fence") return;
+    const options = parseFenceInfo(token.info);
+    token.meta = { ...token.meta, options };
+    const { include } = options;
+    if (!include) return;
+
+    try {
+      const { content, startLine } = readInclude(include, state.env.file);
+      token.content = content;
+      token.meta = { ...token.meta, includeStart: startLine };
+    } catch (err) {
+      token.content = "";
+      token.meta = { ...token.meta, includeError: err.message };
+      state.env.includeErrors = (state.env.includeErrors || []).concat({
+        line: token.map[0] + 1,
+        message: err.message,
+      });
+    }
+  });
+}
+
+// Highlight code with highlight.js when the language is known
+function highlightCode(code, lang, escapeHtml) {
+  if (lang && hljs.getLanguage(lang)) {
+    try {
+      return hljs.highlight(code, { language: lang, ignoreIllegals: true })
+        .value;
+    } catch (err) {
+      // Fall back to plain text below
+    }
+  }
+  return escapeHtml(code);
+}
+
+// Split highlighted HTML into lines, closing and reopening the spans that
+// cross line breaks so every line is well-formed on its own
+function splitLines(html) {
+  const lines = [];
+  const open = [];
+  let line = "";
+
+  html.split(/(<span[^>]*>|<\/span>|\n)/).forEach((part) => {
+    if (part === "\n") {
+      lines.push(line + "</span>".repeat(open.length));
+      line = open.join("");
+      return;
+    }
+    if (part.startsWith("<span")) open.push(part);
+    if (part === "</span>") open.pop();
+    line += part;
+  });
+  // The newline ending the code leaves nothing but reopened tags behind
+  if (line.replace(/<[^>]*>/g, "") !== "") {
+    lines.push(line + "</span>".repeat(open.length));
+  }
+
+  return lines;
+}
+
+// markdown-it plugin: render fences with highlighting, titles, line numbers
+// and highlighted lines, and fill in included files
+function codeBlocks(md) {
+  const { escapeHtml } = md.utils;
+
+  md.core.ruler.after("block", "code_fences", codeFences);
+
+  md.renderer.rules.fence = (tokens, index) => {
+    const token = tokens[index];
+    const {
+      options = parseFenceInfo(token.info),
+      includeStart,
+      includeError,
+    } = token.meta || {};
+
+    if (includeError) {
+      return `<div class="code-error"><p class="code-error-message">Code include failed: ${escapeHtml(
+        includeError
+      )}</p></div>\n`;
+    }
+
+    // Included files are highlighted by their extension unless a language
+    // is given
+    const lang =
+      options.lang ||
+      (options.include
+        ? path.extname(options.include.split("#")[0]).slice(1)
+        : "");
+    let code = highlightCode(token.content, lang, escapeHtml);
+
+    if (options.lineNumbers || options.highlight.size > 0) {
+      const first = options.startLine || includeStart || 1;
+      code = splitLines(code)
+        .map((line, n) => {
+          const number = first + n;
+          const marked = options.highlight.has(number) ? " highlighted" : "";
+          const data = options.lineNumbers ? ` data-line="${number}"` : "";
+          return `<span class="code-line${marked}"${data}>${line}</span>`;
+        })
+        .join("\n");
+    }
+
+    const classes = options.lineNumbers ? "hljs line-numbers" : "hljs";
+    const pre = `<pre class="${classes}"><code>${code}</code></pre>`;
+
+    return options.title
+      ? `<div class="code-block"><div class="code-title">${escapeHtml(
+          options.title
+        )}</div>${pre}</div>\n`
+      : `${pre}\n`;
+  };
+}
+
+// Find the files a document's fences include, with the line they are on
+function collectCodeIncludes(document, md) {
+  return md
+    .parse(document.content, { file: document.file })
+    .filter((token) => token.type === "fence")
+    .map((token) => ({
+      include: parseFenceInfo(token.info).include,
+      line: token.map[0] + 1 + (document.lineOffset || 0),
+    }))
+    .filter(({ include }) => include)
+    .map(({ include, line }) => ({
+      include,
+      line,
+      file: path.resolve(path.dirname(document.file), include.split("#")[0]),
+    }));
+}
+
+// Warn about code includes that could not be read, at the file and line
+// the fence is written on
+function reportIncludeErrors(env, document, logger) {
+  (env.includeErrors || []).forEach(({ line, message }) => {
+    const location = sourceLocation(document, line);
+    logger.warn(
+      `Warning: Code include failed at ${location.file}:${location.line}: ${message}`
+    );
+  });
+}
+
+module.exports = {
+  parseFenceInfo,
+  readInclude,
+  codeBlocks,
+  collectCodeIncludes,
+  reportIncludeErrors,
+};
@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const {
+  FORMATS,
+  PAPER_SIZES,
+  THEMES,
+  REMOTE_IMAGE_MODES,
+  CONFIG_FILES,
+} = require("./constants.cjs");
+const { resolvePluginModule } = require("./plugins.cjs");
+
+const stringList = { type: "array", items: { type: "string" } };
+
+// A chapter is a file name, a titled file with children, or a named part
+const chapterEntry = {
+  type: ["string", "object"],
+  properties: {
+    file: { type: "string" },
+    title: { type: "string" },
+    part: { type: "string" },
+  },
+};
+chapterEntry.properties.chapters = { type: "array", items: chapterEntry };
+
+// Shape of a config file; every key is optional
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    inputs: stringList,
+    format: { type: "string", enum: FORMATS },
+    single: { type: "boolean" },
+    output: { type: "string" },
+    paper: { type: "string", enum: PAPER_SIZES },
+    drafts: { type: "boolean" },
+    remap: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["from", "to"],
+        properties: {
+          from: { type: ["string", "regexp"] },
+          to: { type: "string" },
+          regex: { type: "boolean" },
+          flags: { type: "string" },
+        },
+      },
+    },
+    include: stringList,
+    exclude: stringList,
+    order: stringList,
+    manifest: { type: ["string", "boolean"] },
+    chapters: { type: "array", items: chapterEntry },
+    theme: { type: "string", enum: THEMES },
+    highlightTheme: { type: "string" },
+    css: stringList,
+    offline: { type: "boolean" },
+    remoteImages: { type: "string", enum: REMOTE_IMAGE_MODES },
+    header: { type: "string" },
+    footer: { type: "string" },
+    margin: { type: "string" },
+    landscape: { type: "boolean" },
+    skipFirstPage: { type: "boolean" },
+    outline: { type: "boolean" },
+    tocPageNumbers: { type: "boolean" },
+    tocMinLevel: { type: "number", enum: [1, 2, 3, 4, 5, 6] },
+    tocMaxLevel: { type: "number", enum: [1, 2, 3, 4, 5, 6] },
+    math: { type: "boolean" },
+    syntax: {
+      type: "object",
+      properties: {
+        admonitions: { type: "boolean" },
+        footnotes: { type: "boolean" },
+        taskLists: { type: "boolean" },
+        definitionLists: { type: "boolean" },
+        abbreviations: { type: "boolean" },
+        attributes: { type: "boolean" },
+      },
+    },
+    plugins: {
+      type: "array",
+      items: { type: ["string", "object", "function"] },
+    },
+    concurrency: { type: "number" },
+    strict: { type: "boolean" },
+    remoteAllowlist: stringList,
+    cover: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        subtitle: { type: "string" },
+        authors: { type: ["string", "array"], items: { type: "string" } },
+        version: { type: ["string", "number"] },
+        date: { type: "string" },
+        logo: { type: "string" },
+        subject: { type: "string" },
+        keywords: stringList,
+      },
+    },
+    style: {
+      type: "object",
+      properties: {
+        fontFamily: { type: "string" },
+        fontSize: { type: "string" },
+        lineHeight: { type: ["string", "number"] },
+        maxWidth: { type: "string" },
+      },
+    },
+  },
+};
+
+// Describe the type of a config value for error messages
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value instanceof RegExp) return "regexp";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Check a value against a schema node, collecting errors with their key path
+function validateValue(value, schema, keyPath, errors) {
+  const types = [].concat(schema.type);
+  if (!types.includes(typeOf(value))) {
+    const name = keyPath ? `"${keyPath}"` : "The configuration";
+    errors.push(`${name} must be of type ${types.join(" or ")}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`"${keyPath}" must be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      validateValue(item, schema.items, `${keyPath}[${index}]`, errors);
+    });
+  }
+
+  if (schema.properties && typeOf(value) === "object") {
+    const prefix = keyPath ? `${keyPath}.` : "";
+
+    Object.keys(value).forEach((key) => {
+      if (!schema.properties[key]) {
+        errors.push(`"${prefix}${key}" is not a known option`);
+      } else if (value[key] !== undefined) {
+        validateValue(value[key], schema.properties[key], prefix + key, errors);
+      }
+    });
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`"${prefix}${key}" is required`);
+      }
+    });
+  }
+}
+
+// Resolve chapter files against the config directory, checking each entry
+function normalizeChapters(chapters, baseDir, keyPath, errors) {
+  return chapters.map((chapter, index) => {
+    const entryPath = `${keyPath}[${index}]`;
+    if (typeof chapter === "string") return path.resolve(baseDir, chapter);
+
+    if ((chapter.file === undefined) === (chapter.part === undefined)) {
+      errors.push(`"${entryPath}" must have either a file or a part`);
+    }
+    return {
+      ...chapter,
+      file:
+        chapter.file !== undefined
+          ? path.resolve(baseDir, chapter.file)
+          : undefined,
+      chapters: chapter.chapters
+        ? normalizeChapters(
+            chapter.chapters,
+            baseDir,
+            `${entryPath}.chapters`,
+            errors
+          )
+        : undefined,
+    };
+  });
+}
+
+// Validate a config object and normalize it into convert() options
+function normalizeConfig(config, baseDir, source) {
+  const errors = [];
+  validateValue(config, CONFIG_SCHEMA, "", errors);
+
+  const normalized = { ...config };
+
+  if (errors.length === 0 && config.remap) {
+    normalized.remap = config.remap.map((mapping, index) => {
+      if (!mapping.regex || mapping.from instanceof RegExp) {
+        return { from: mapping.from, to: mapping.to };
+      }
+
+      try {
+        return {
+          from: new RegExp(mapping.from, mapping.flags || "g"),
+          to: mapping.to,
+        };
+      } catch (err) {
+        errors.push(
+          `"remap[${index}].from" is not a valid regex: ${err.message}`
+        );
+        return mapping;
+      }
+    });
+  }
+
+  if (errors.length === 0 && config.chapters) {
+    normalized.chapters = normalizeChapters(
+      config.chapters,
+      baseDir,
+      "chapters",
+      errors
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration in ${source}:\n  ${errors.join("\n  ")}`
+    );
+  }
+
+  // Paths in a config file are relative to the file itself
+  ["inputs", "order", "css"].forEach((key) => {
+    if (normalized[key]) {
+      normalized[key] = normalized[key].map((p) => path.resolve(baseDir, p));
+    }
+  });
+  ["output", "manifest"].forEach((key) => {
+    if (typeof normalized[key] === "string") {
+      normalized[key] = path.resolve(baseDir, normalized[key]);
+    }
+  });
+  // Plugin modules load relative to the config file too
+  if (normalized.plugins) {
+    normalized.plugins = normalized.plugins.map((entry) => {
+      if (typeof entry === "string") return resolvePluginModule(entry, baseDir);
+      return entry && typeof entry.module === "string"
+        ? { ...entry, module: resolvePluginModule(entry.module, baseDir) }
+        : entry;
+    });
+  }
+  if (normalized.cover && normalized.cover.logo) {
+    normalized.cover = {
+      ...normalized.cover,
+      logo: /^(https?:)?\/\//i.test(normalized.cover.logo)
+        ? normalized.cover.logo
+        : path.resolve(baseDir, normalized.cover.logo),
+    };
+  }
+
+  return normalized;
+}
+
+// Find the config file in a directory, if there is one
+function findConfigFile(cwd) {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Load and validate a config file.
+ *
+ * @param {object} [options]
+ * @param {string} [options.configPath] Explicit config file; an error is
+ *   raised if it does not exist
+ * @param {string} [options.cwd=process.cwd()] Directory searched for one of
+ *   the default config file names when no path is given
+ * @returns {Promise<{config: object, filepath: string|null}>} The normalized
+ *   options, with paths resolved against the config file's directory
+ */
+async function loadConfig({ configPath, cwd = process.cwd() } = {}) {
+  let filepath;
+
+  if (configPath) {
+    filepath = path.resolve(cwd, configPath);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Config file not found: ${filepath}`);
+    }
+  } else {
+    filepath = findConfigFile(cwd);
+    if (!filepath) return { config: {}, filepath: null };
+  }
+
+  let config;
+  if (path.extname(filepath) === ".json") {
+    try {
+      config = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+    } catch (err) {
+      throw new Error(`Invalid configuration in ${filepath}: ${err.message}`);
+    }
+  } else {
+    // import() handles both CommonJS and ES module config files
+    const loaded = await import(pathToFileURL(filepath).href);
+    config = loaded.default;
+  }
+
+  return {
+    config: normalizeConfig(config, path.dirname(filepath), filepath),
+    filepath,
+  };
+}
+
+// Layer options: config file values first, then explicit overrides on top
+function mergeOptions(config, overrides) {
+  const merged = { ...config };
+
+  Object.keys(overrides).forEach((key) => {
+    if (overrides[key] !== undefined) merged[key] = overrides[key];
+  });
+
+  // Nested option groups are merged key by key
+  ["style", "cover", "syntax"].forEach((key) => {
+    if (config[key] && overrides[key]) {
+      merged[key] = { ...config[key], ...overrides[key] };
+    }
+  });
+
+  return merged;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  loadConfig,
+  normalizeConfig,
+  mergeOptions,
+};
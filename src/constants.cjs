@@ -0,0 +1,47 @@
+const os = require("os");
+
+// Supported output formats
+const FORMATS = ["html", "pdf", "html-site", "html-standalone", "epub", "docx"];
+
+// File extension of the per-file outputs of each format
+const FORMAT_EXTENSIONS = {
+  html: ".html",
+  pdf: ".pdf",
+  "html-site": ".html",
+  "html-standalone": ".html",
+  epub: ".epub",
+  docx: ".docx",
+};
+
+// Supported PDF paper sizes
+const PAPER_SIZES = ["A4", "Letter", "Legal"];
+
+// Built-in themes, found in src/themes
+const THEMES = ["default", "dark", "print-compact", "academic"];
+
+// How remote images are treated: left as links, downloaded and embedded, or removed
+const REMOTE_IMAGE_MODES = ["keep", "embed", "reject"];
+
+// Config file names looked up in the working directory, in order
+const CONFIG_FILES = [
+  "md2pdf.config.json",
+  "md2pdf.config.js",
+  "md2pdf.config.cjs",
+];
+
+// Summary file defining chapter order, looked up in the input directories
+const MANIFEST_FILE = "SUMMARY.md";
+
+// Pages printing PDFs at once unless configured: one per core, up to four
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, os.cpus().length));
+
+module.exports = {
+  FORMATS,
+  FORMAT_EXTENSIONS,
+  PAPER_SIZES,
+  THEMES,
+  REMOTE_IMAGE_MODES,
+  CONFIG_FILES,
+  MANIFEST_FILE,
+  DEFAULT_CONCURRENCY,
+};
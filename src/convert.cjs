@@ -0,0 +1,463 @@
+const path = require("path");
+const { createMarkdown } = require("./markdown.cjs");
+const { createImagePathConfig } = require("./images.cjs");
+const { collectMarkdownFiles, applyOrder, sourceRoot } = require("./files.cjs");
+const { loadDocument } = require("./frontmatter.cjs");
+const { loadManifest, applyManifest } = require("./manifest.cjs");
+const { createFileLinks } = require("./links.cjs");
+const { checkDocuments, formatReport } = require("./references.cjs");
+const { diagramFences, renderDiagrams } = require("./diagrams.cjs");
+const { DEFAULT_SYNTAX } = require("./syntax.cjs");
+const { expandIncludes } = require("./includes.cjs");
+const { createBuildCache } = require("./cache.cjs");
+const {
+  loadPlugins,
+  applyMarkdownPlugins,
+  transformSource,
+} = require("./plugins.cjs");
+const {
+  FORMATS,
+  FORMAT_EXTENSIONS,
+  PAPER_SIZES,
+  THEMES,
+  REMOTE_IMAGE_MODES,
+  DEFAULT_CONCURRENCY,
+} = require("./constants.cjs");
+const { prefetchRemoteImages, reportRemoteResources } = require("./remote.cjs");
+const { convertToHtml, writeIndex } = require("./html.cjs");
+const { convertToSite, writeSiteFiles } = require("./site.cjs");
+const { convertToEpub } = require("./epub.cjs");
+const { convertToDocx } = require("./docx.cjs");
+const { convertToPdf, launchBrowser } = require("./pdf.cjs");
+const { resolvePageLayout } = require("./header-footer.cjs");
+
+// Fill in defaults and reject invalid option values
+function normalizeOptions(options) {
+  const settings = {
+    format: "html",
+    single: false,
+    output: "output",
+    paper: "A4",
+    remap: [],
+    drafts: false,
+    include: [],
+    exclude: [],
+    order: [],
+    manifest: undefined,
+    chapters: undefined,
+    theme: "default",
+    highlightTheme: undefined,
+    css: [],
+    style: {},
+    offline: true,
+    remoteImages: "keep",
+    header: "",
+    footer: "",
+    margin: undefined,
+    landscape: false,
+    skipFirstPage: false,
+    outline: true,
+    tocPageNumbers: true,
+    tocMinLevel: 1,
+    tocMaxLevel: 6,
+    cover: undefined,
+    math: true,
+    syntax: {},
+    plugins: [],
+    concurrency: DEFAULT_CONCURRENCY,
+    force: false,
+    strict: false,
+    remoteAllowlist: [],
+    logger: console,
+    ...options,
+  };
+  const { inputs, format, paper, theme, remoteImages } = settings;
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid format: ${format}. Valid options are: ${FORMATS.join(", ")}`
+    );
+  }
+
+  if (format === "html-site" && settings.single) {
+    throw new Error(
+      "The html-site format writes one page per document and cannot be combined with single output"
+    );
+  }
+
+  // Validate paper size option
+  if ((format === "pdf" || format === "docx") && !PAPER_SIZES.includes(paper)) {
+    throw new Error(
+      `Invalid paper size: ${paper}. Valid options are: ${PAPER_SIZES.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!THEMES.includes(theme)) {
+    throw new Error(
+      `Invalid theme: ${theme}. Valid options are: ${THEMES.join(", ")}`
+    );
+  }
+
+  if (!REMOTE_IMAGE_MODES.includes(remoteImages)) {
+    throw new Error(
+      `Invalid remote images mode: ${remoteImages}. Valid options are: ${REMOTE_IMAGE_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!Number.isInteger(settings.concurrency) || settings.concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency: ${settings.concurrency}. Use a whole number of 1 or more`
+    );
+  }
+
+  const { tocMinLevel, tocMaxLevel } = settings;
+  const isLevel = (level) =>
+    Number.isInteger(level) && level >= 1 && level <= 6;
+  if (!isLevel(tocMinLevel) || !isLevel(tocMaxLevel)) {
+    throw new Error(
+      `Invalid TOC levels: ${tocMinLevel}-${tocMaxLevel}. Levels must be between 1 and 6`
+    );
+  }
+  if (tocMinLevel > tocMaxLevel) {
+    throw new Error(
+      `Invalid TOC levels: the minimum level ${tocMinLevel} is above the maximum ${tocMaxLevel}`
+    );
+  }
+
+  const syntaxNames = Object.keys(DEFAULT_SYNTAX);
+  const unknownSyntax = Object.keys(settings.syntax || {}).find(
+    (name) => !syntaxNames.includes(name)
+  );
+  if (unknownSyntax) {
+    throw new Error(
+      `Invalid syntax extension: ${unknownSyntax}. Valid options are: ${syntaxNames.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!inputs || inputs.length === 0) {
+    throw new Error("No inputs given");
+  }
+
+  settings.pageLayout = resolvePageLayout(settings);
+  settings.plugins = loadPlugins(settings.plugins);
+
+  return settings;
+}
+
+// Find, order and load the Markdown documents selected by the options
+function resolveDocuments(settings, logger = settings.logger) {
+  const { inputs, include, exclude, order, drafts } = settings;
+
+  let markdownFiles = applyOrder(
+    collectMarkdownFiles(inputs, { include, exclude }),
+    order
+  );
+
+  // A manifest takes precedence over the order list and supplies titles
+  const manifest = loadManifest(settings);
+  let chapters = new Map();
+  if (manifest) {
+    ({ files: markdownFiles, chapters } = applyManifest(
+      markdownFiles,
+      manifest,
+      logger
+    ));
+  }
+
+  if (markdownFiles.length === 0) {
+    throw new Error(`No markdown files found in ${inputs.join(", ")}`);
+  }
+
+  logger.log(
+    `Found ${markdownFiles.length} markdown files in ${inputs.join(", ")}`
+  );
+
+  // Drafts are skipped unless explicitly requested
+  const documents = markdownFiles
+    .map((file) => ({
+      ...loadDocument(file),
+      chapter: chapters.get(path.resolve(file)),
+    }))
+    .filter((document) => {
+      if (document.frontMatter.draft === true && !drafts) {
+        logger.log(`Skipping draft: ${document.file}`);
+        return false;
+      }
+      return true;
+    })
+    .map((document) => {
+      const expanded = { ...document, ...expandIncludes(document) };
+      return {
+        ...expanded,
+        content: transformSource(expanded, settings.plugins),
+      };
+    });
+
+  if (documents.length === 0) {
+    throw new Error("All markdown files are drafts, nothing to convert");
+  }
+
+  return documents;
+}
+
+// Everything a conversion needs is carried here instead of module globals
+function createContext(settings) {
+  // Rendered diagrams by source, filled in before each build
+  const diagrams = new Map();
+
+  // User plugins come last, so they can build on or override the built-ins
+  const md = createMarkdown({ syntax: settings.syntax, math: settings.math });
+  md.use(diagramFences, diagrams);
+  applyMarkdownPlugins(md, settings.plugins);
+
+  return {
+    md,
+    diagrams,
+    plugins: settings.plugins,
+    imagePathConfig: createImagePathConfig(settings.remap),
+    paper: settings.paper,
+    concurrency: settings.concurrency,
+    pageLayout: settings.pageLayout,
+    outline: settings.outline,
+    tocPageNumbers: settings.tocPageNumbers,
+    tocLevels: {
+      minLevel: settings.tocMinLevel,
+      maxLevel: settings.tocMaxLevel,
+    },
+    cover: settings.cover,
+    styling: {
+      theme: settings.theme,
+      highlightTheme: settings.highlightTheme,
+      style: settings.style,
+      css: settings.css,
+    },
+    offline: settings.offline,
+    remoteImages: settings.remoteImages,
+    // Downloaded remote images and the log of remote resources touched
+    remote: { cache: new Map(), entries: [] },
+    logger: settings.logger,
+  };
+}
+
+// Render documents in the requested format; links may point at any of
+// allDocuments, which can be more than the documents being rebuilt
+async function build(documents, settings, context, allDocuments = documents) {
+  const { format, single, output } = settings;
+
+  // Strict builds stop before rendering when a reference is broken
+  if (settings.strict) {
+    const report = checkDocuments(
+      documents,
+      {
+        md: context.md,
+        imagePathConfig: context.imagePathConfig,
+        remoteAllowlist: settings.remoteAllowlist,
+      },
+      allDocuments
+    );
+    if (!report.ok) {
+      throw new Error(`Check failed in strict mode:\n${formatReport(report)}`);
+    }
+  }
+
+  // Outputs whose inputs have not changed since the last build are kept
+  const cache = createBuildCache(settings, context, allDocuments);
+  const { pending, cached } = settings.force
+    ? { pending: documents, cached: [] }
+    : cache.plan(documents);
+  cache.removeStale().forEach((file) => {
+    context.logger.log(`Removed stale output ${path.relative(".", file)}`);
+  });
+  if (cached.length > 0) {
+    context.logger.log(
+      `Skipped ${cached.length} unchanged output${
+        cached.length === 1 ? "" : "s"
+      } (use --force to rebuild)`
+    );
+  }
+
+  // Per-file outputs mirror the tree below the deepest common source folder
+  context.sourceRoot = sourceRoot(
+    allDocuments.map((document) => document.file)
+  );
+
+  let results = [];
+  if (pending.length > 0) {
+    context.remote.entries = [];
+    const unrendered = await renderDiagrams(pending, context);
+    context.links = createFileLinks(
+      allDocuments,
+      FORMAT_EXTENSIONS[format],
+      context.md
+    );
+    await prefetchRemoteImages(pending, context);
+
+    if (format === "pdf") {
+      results = await convertToPdf(pending, single, output, context);
+    } else if (format === "html-site") {
+      results = convertToSite(pending, allDocuments, output, context);
+    } else if (format === "epub") {
+      results = await convertToEpub(pending, single, output, context);
+    } else if (format === "docx") {
+      results = await convertToDocx(pending, single, output, context);
+    } else {
+      results = convertToHtml(pending, single, output, context, format);
+    }
+
+    // Outputs missing diagrams or remote images that could not be fetched
+    // are not cached, so the next build tries them again
+    const incomplete = new Set(
+      unrendered.map((document) => path.resolve(document.file))
+    );
+    context.remote.entries
+      .filter(({ action }) => action === "failed")
+      .forEach(({ source }) => {
+        (source ? [source] : pending.map((document) => document.file)).forEach(
+          (file) => incomplete.add(path.resolve(file))
+        );
+      });
+    cache.update(
+      results.filter(
+        ({ inputs }) =>
+          !inputs.some((file) => incomplete.has(path.resolve(file)))
+      )
+    );
+  }
+  cache.save();
+
+  // The index and the site's search index cover every document, so they are
+  // rewritten on each build
+  if (!single) {
+    const index =
+      format === "html-site"
+        ? writeSiteFiles(allDocuments, output, context)
+        : writeIndex(allDocuments, FORMAT_EXTENSIONS[format], output, context);
+    if (!index) {
+      context.logger.log("Skipped index.html: a document is rendered to it");
+    }
+  }
+
+  // Report outputs in document order, whether rebuilt or cached
+  const position = ({ inputs }) =>
+    documents.findIndex(
+      (document) => path.resolve(document.file) === path.resolve(inputs[0])
+    );
+  return [...results, ...cached].sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * Convert Markdown files to HTML or PDF.
+ *
+ * @param {object} options
+ * @param {string[]} options.inputs Markdown files and/or directories to scan
+ * @param {string} [options.format="html"] Output format: html, pdf,
+ *   html-site for a static site with navigation and search, html-standalone
+ *   for pages with images embedded, epub or docx
+ * @param {boolean} [options.single=false] Combine all inputs into one output
+ * @param {string} [options.output="output"] Output directory
+ * @param {string} [options.paper="A4"] Paper size for PDF: A4, Letter, Legal
+ * @param {Array<{from: string|RegExp, to: string}>} [options.remap] Image path
+ *   remappings, replacing the default `/assets/ -> /_assets/` rule
+ * @param {boolean} [options.drafts=false] Include documents whose front matter
+ *   sets `draft: true`
+ * @param {string[]} [options.include] Globs a file must match, relative to
+ *   its input directory
+ * @param {string[]} [options.exclude] Globs of files to leave out, relative to
+ *   their input directory
+ * @param {string[]} [options.order] Files placed first, in this order
+ * @param {string|boolean} [options.manifest] Summary file listing chapters,
+ *   parts and titles; defaults to a SUMMARY.md in an input directory, `false`
+ *   disables it
+ * @param {Array<string|{file?: string, title?: string, part?: string,
+ *   chapters?: Array}>} [options.chapters] Chapter list used instead of a
+ *   summary file
+ * @param {string} [options.theme="default"] Built-in theme: default, dark,
+ *   print-compact or academic
+ * @param {string} [options.highlightTheme] highlight.js theme name, e.g.
+ *   github-dark; defaults to one matching the theme
+ * @param {string[]} [options.css] Stylesheets layered on top of the theme
+ * @param {{fontFamily?: string, fontSize?: string, lineHeight?: string|number,
+ *   maxWidth?: string}} [options.style] Body typography overrides
+ * @param {boolean} [options.offline=true] Block all network access while
+ *   rendering PDFs
+ * @param {string} [options.remoteImages="keep"] Remote images: keep the link,
+ *   embed (download at build time) or reject (replace with their alt text)
+ * @param {string} [options.header] PDF header template; may use {{title}},
+ *   {{section}}, {{page}}, {{pages}} and {{date}}
+ * @param {string} [options.footer] PDF footer template, same placeholders
+ * @param {string} [options.margin] PDF page margins as a CSS shorthand; 1cm,
+ *   or 2cm on sides with a header or footer
+ * @param {boolean} [options.landscape=false] Print PDFs in landscape
+ * @param {boolean} [options.skipFirstPage=false] Leave the header and footer
+ *   off the first page
+ * @param {boolean} [options.outline=true] Add a PDF bookmark outline built
+ *   from the headings
+ * @param {boolean} [options.tocPageNumbers=true] Print page numbers with
+ *   dotted leaders in the PDF table of contents
+ * @param {number} [options.tocMinLevel=1] Shallowest heading level listed in
+ *   the table of contents
+ * @param {number} [options.tocMaxLevel=6] Deepest heading level listed in the
+ *   table of contents
+ * @param {{title?: string, subtitle?: string, authors?: string|string[],
+ *   version?: string, date?: string, logo?: string, subject?: string,
+ *   keywords?: string[]}} [options.cover] Cover page for combined output,
+ *   also used for its title and PDF properties
+ * @param {boolean} [options.math=true] Typeset $...$ and $$...$$ formulas
+ *   with KaTeX
+ * @param {{admonitions?: boolean, footnotes?: boolean, taskLists?: boolean,
+ *   definitionLists?: boolean, abbreviations?: boolean,
+ *   attributes?: boolean}} [options.syntax] Markdown extensions to switch on
+ *   or off; all but attributes are on by default
+ * @param {Array<string|object|Function>} [options.plugins] Plugin modules
+ *   (paths or package names, or `{module, options}`) or plugin objects with
+ *   `markdown(md)`, `transformSource(source, info)` and/or
+ *   `transformHtml(html, info)` hooks
+ * @param {number} [options.concurrency] PDF pages printed in parallel when
+ *   converting files separately; defaults to the number of CPU cores, up to 4
+ * @param {boolean} [options.force=false] Render every output, even those
+ *   the build cache shows to be up to date
+ * @param {boolean} [options.strict=false] Fail before rendering when an image,
+ *   anchor or link is broken, as reported by check()
+ * @param {string[]} [options.remoteAllowlist] URL prefixes or host names that
+ *   remote links and images may use in strict mode
+ * @param {{log: Function, warn: Function}} [options.logger=console] Receives
+ *   progress messages and warnings
+ * @returns {Promise<Array<{inputs: string[], output: string,
+ *   cached?: boolean}>>} One entry per output file, listing the Markdown
+ *   sources it was built from; `cached` marks outputs that were up to date
+ */
+async function convert(options) {
+  const settings = normalizeOptions(options);
+  const documents = resolveDocuments(settings);
+  const context = createContext(settings);
+
+  if (settings.format === "pdf") {
+    settings.logger.log(`Generating PDFs with paper size: ${settings.paper}`);
+    context.browser = await launchBrowser();
+
+    try {
+      return await build(documents, settings, context);
+    } finally {
+      await context.browser.close();
+      reportRemoteResources(context);
+    }
+  }
+
+  const results = await build(documents, settings, context);
+  reportRemoteResources(context);
+  return results;
+}
+
+module.exports = {
+  normalizeOptions,
+  resolveDocuments,
+  createContext,
+  build,
+  convert,
+};
@@ -0,0 +1,93 @@
+const fs = require("fs");
+const { imageToDataUri } = require("./images.cjs");
+const { isRemoteUrl, applyRemoteImagePolicy } = require("./remote.cjs");
+const { formatDate } = require("./frontmatter.cjs");
+const pkg = require("../package.json");
+
+// Title of a combined document without a configured one
+const DEFAULT_TITLE = "Documentation";
+
+// Written to the Creator property of every generated PDF
+const CREATOR = `${pkg.name} ${pkg.version}`;
+
+// List the authors of a cover, which may be given as one name or several
+function coverAuthors(cover) {
+  return [].concat(cover.authors || []).map(String);
+}
+
+// Render the cover page shown before the table of contents
+function renderCover(cover, context) {
+  const { escapeHtml } = context.md.utils;
+  const authors = coverAuthors(cover);
+  const date = formatDate(cover.date);
+  const parts = [];
+
+  if (cover.logo) {
+    if (!isRemoteUrl(cover.logo) && !fs.existsSync(cover.logo)) {
+      throw new Error(`Cover logo not found: ${cover.logo}`);
+    }
+
+    // Local logos are embedded so the cover works wherever the page is
+    // opened; remote ones follow the same policy as images in documents
+    if (isRemoteUrl(cover.logo)) {
+      parts.push(
+        applyRemoteImagePolicy(
+          `<img class="cover-logo" src="${cover.logo}" alt="">`,
+          null,
+          context
+        )
+      );
+    } else {
+      parts.push(
+        `<img class="cover-logo" src="${imageToDataUri(cover.logo)}" alt="">`
+      );
+    }
+  }
+
+  parts.push(
+    `<h1 class="cover-title">${escapeHtml(cover.title || DEFAULT_TITLE)}</h1>`
+  );
+  if (cover.subtitle) {
+    parts.push(
+      `<p class="cover-subtitle">${escapeHtml(String(cover.subtitle))}</p>`
+    );
+  }
+  if (cover.version) {
+    parts.push(
+      `<p class="cover-version">Version ${escapeHtml(
+        String(cover.version)
+      )}</p>`
+    );
+  }
+  if (authors.length > 0) {
+    parts.push(
+      `<p class="cover-authors">${authors.map(escapeHtml).join(", ")}</p>`
+    );
+  }
+  if (date) {
+    parts.push(`<p class="cover-date">${escapeHtml(date)}</p>`);
+  }
+
+  return `<section class="cover">\n${parts.join(
+    "\n"
+  )}\n</section>\n<div class="page-break"></div>\n`;
+}
+
+// PDF document properties for a combined document with a cover
+function coverPdfMetadata(cover) {
+  const date = cover.date ? new Date(cover.date) : undefined;
+
+  return {
+    title: cover.title || DEFAULT_TITLE,
+    author: coverAuthors(cover).join(", ") || undefined,
+    subject: cover.subject,
+    keywords: [].concat(cover.keywords || []).map(String),
+    date: date && !isNaN(date.getTime()) ? date : undefined,
+  };
+}
+
+module.exports = {
+  CREATOR,
+  renderCover,
+  coverPdfMetadata,
+};
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const { launchBrowser } = require("./pdf.cjs");
+const { sourceLocation } = require("./includes.cjs");
+
+// Fence languages rendered as diagrams instead of code
+const DIAGRAM_LANGUAGES = ["mermaid"];
+
+// Bundled mermaid build, loaded into the browser from disk
+const MERMAID_SCRIPT = require.resolve("mermaid/dist/mermaid.min.js");
+
+// Language named by a fence's info string
+function fenceLanguage(token) {
+  return token.info.trim().split(/\s+/)[0].toLowerCase();
+}
+
+// Stable DOM id for a diagram, so equal diagrams share their styles
+function diagramId(source) {
+  const hash = crypto.createHash("sha1").update(source).digest("hex");
+  return `mermaid-${hash.slice(0, 12)}`;
+}
+
+// markdown-it plugin: replace diagram fences with their pre-rendered SVG
+function diagramFences(md, diagrams) {
+  const defaultFence = md.renderer.rules.fence;
+
+  md.renderer.rules.fence = (tokens, index, options, env, self) => {
+    const token = tokens[index];
+    if (!DIAGRAM_LANGUAGES.includes(fenceLanguage(token))) {
+      return defaultFence(tokens, index, options, env, self);
+    }
+
+    const diagram = diagrams.get(token.content);
+    if (diagram && diagram.svg) {
+      return `<div class="diagram diagram-mermaid">${diagram.svg}</div>\n`;
+    }
+
+    // Diagrams that failed show their source under the error
+    const message = diagram
+      ? `<p class="diagram-error-message">Diagram error: ${md.utils.escapeHtml(
+          diagram.error
+        )}</p>\n`
+      : "";
+    return `<div class="diagram diagram-error">\n${message}${defaultFence(
+      tokens,
+      index,
+      options,
+      env,
+      self
+    )}</div>\n`;
+  };
+}
+
+// Find the diagram fences of a document with the file and line they start
+// on, which for included content is the included file
+function collectDiagrams(document, md) {
+  return md
+    .parse(document.content, { file: document.file })
+    .filter(
+      (token) =>
+        token.type === "fence" &&
+        DIAGRAM_LANGUAGES.includes(fenceLanguage(token))
+    )
+    .map((token) => ({
+      source: token.content,
+      ...sourceLocation(document, token.map[0] + 1),
+    }));
+}
+
+// Render diagram sources to SVG in a browser page with mermaid loaded
+async function renderInBrowser(browser, sources, theme) {
+  const page = await browser.newPage();
+
+  try {
+    await page.setContent("<!DOCTYPE html><html><body></body></html>");
+    await page.addScriptTag({ path: MERMAID_SCRIPT });
+
+    return await page.evaluate(
+      async (diagrams, mermaidTheme) => {
+        const { mermaid } = window;
+        mermaid.initialize({
+          startOnLoad: false,
+          securityLevel: "strict",
+          theme: mermaidTheme,
+        });
+
+        const results = [];
+        for (const { id, source } of diagrams) {
+          try {
+            const { svg } = await mermaid.render(id, source);
+            results.push({ svg });
+          } catch (err) {
+            results.push({ error: (err && err.message) || String(err) });
+          }
+        }
+        return results;
+      },
+      sources.map((source) => ({ id: diagramId(source), source })),
+      theme
+    );
+  } finally {
+    await page.close();
+  }
+}
+
+// Render the diagrams of the documents into context.diagrams, reporting
+// failures against the file and line they come from. Returns the documents
+// whose diagrams could not be rendered at all and are left as code.
+async function renderDiagrams(documents, context) {
+  const { md, diagrams, logger } = context;
+  const found = documents.flatMap((document) =>
+    collectDiagrams(document, md).map((diagram) => ({ ...diagram, document }))
+  );
+  const unrendered = () => [
+    ...new Set(
+      found
+        .filter(({ source }) => !diagrams.has(source))
+        .map(({ document }) => document)
+    ),
+  ];
+
+  // Diagrams are cached by source, so rebuilds only render new ones
+  const pending = [
+    ...new Set(
+      found.map(({ source }) => source).filter((s) => !diagrams.has(s))
+    ),
+  ];
+
+  if (pending.length > 0) {
+    // HTML builds have no browser of their own, so borrow one for this
+    let browser = context.browser;
+    if (!browser) {
+      try {
+        browser = await launchBrowser();
+      } catch (err) {
+        logger.warn(
+          `Warning: Diagrams left as code, the browser could not start: ${err.message}`
+        );
+        return unrendered();
+      }
+    }
+
+    try {
+      const theme = context.styling.theme === "dark" ? "dark" : "default";
+      const results = await renderInBrowser(browser, pending, theme);
+      pending.forEach((source, index) => diagrams.set(source, results[index]));
+    } finally {
+      if (!context.browser) await browser.close();
+    }
+  }
+
+  found.forEach(({ source, line, file }) => {
+    const { error } = diagrams.get(source);
+    if (!error) return;
+
+    // Mermaid counts lines from the start of the diagram
+    const lineInDiagram = error.match(/on line (\d+)/);
+    const errorLine = lineInDiagram ? line + Number(lineInDiagram[1]) : line;
+    logger.warn(
+      `Warning: Diagram failed to render at ${file}:${errorLine}: ${error
+        .split("\n")
+        .join(" ")}`
+    );
+  });
+
+  return unrendered();
+}
+
+module.exports = {
+  diagramFences,
+  collectDiagrams,
+  renderDiagrams,
+};
@@ -0,0 +1,275 @@
+const path = require("path");
+const {
+  uniqueSlug,
+  extractHeadings,
+  generateTOC,
+  placeTOC,
+} = require("./markdown.cjs");
+const { extractImagePaths, convertImagesToBase64 } = require("./images.cjs");
+const { generateCSS } = require("./styles.cjs");
+const { formatDate } = require("./frontmatter.cjs");
+const { renderCover, coverPdfMetadata } = require("./cover.cjs");
+const { createCombinedLinks, rewriteDocumentLinks } = require("./links.cjs");
+const { containsMath, reportMathErrors } = require("./math.cjs");
+const { reportIncludeErrors } = require("./code.cjs");
+
+// Collect the display metadata of a document from its front matter
+function getDocumentMeta(document, escapeHtml) {
+  const { frontMatter } = document;
+  const title =
+    frontMatter.title !== undefined
+      ? String(frontMatter.title)
+      : path.basename(document.file, ".md");
+  const tags = [].concat(frontMatter.tags || []).map(String);
+
+  return {
+    title: escapeHtml(title),
+    author: frontMatter.author ? escapeHtml(String(frontMatter.author)) : "",
+    date: escapeHtml(formatDate(frontMatter.date)),
+    keywords: escapeHtml(tags.join(", ")),
+    // Unescaped values for the PDF document properties
+    pdf: {
+      title,
+      author: frontMatter.author ? String(frontMatter.author) : undefined,
+      date: frontMatter.date instanceof Date ? frontMatter.date : undefined,
+      keywords: tags,
+    },
+  };
+}
+
+// Render the author and date line shown under the main heading
+function renderByline({ author, date }) {
+  const parts = [];
+  if (author) parts.push(`<span class="document-author">${author}</span>`);
+  if (date) parts.push(`<time class="document-date">${date}</time>`);
+
+  return parts.length > 0
+    ? `<p class="document-meta">${parts.join(" &middot; ")}</p>`
+    : "";
+}
+
+// Wrap rendered content into a full HTML page
+function renderPage(
+  { title, heading, cover, author, date, keywords, toc, body },
+  context
+) {
+  const metaTags = [
+    author && `<meta name="author" content="${author}">`,
+    date && `<meta name="date" content="${date}">`,
+    keywords && `<meta name="keywords" content="${keywords}">`,
+  ]
+    .filter(Boolean)
+    .join("\n        ");
+
+  // An inline [[toc]] moves the table of contents into the body
+  const bodyWithToc = placeTOC(body, toc);
+
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <title>${title}</title>
+        ${metaTags}
+        ${generateCSS({ ...context.styling, math: containsMath(body) })}
+      </head>
+      <body>
+        ${cover || `<h1>${heading}</h1>\n${renderByline({ author, date })}`}
+        ${bodyWithToc === null ? toc : ""}
+        ${bodyWithToc === null ? body : bodyWithToc}
+      </body>
+      </html>
+    `;
+}
+
+// Render a single Markdown file into the parts of a page
+function renderFile(document, context) {
+  const { content, frontMatter } = document;
+  const meta = getDocumentMeta(document, context.md.utils.escapeHtml);
+  // The file lets code blocks include paths relative to it
+  const env = { file: document.file };
+  let html = context.md.render(content, env);
+  const { headings } = env;
+  reportIncludeErrors(env, document, context.logger);
+  reportMathErrors(env, document, context.logger);
+  // Front matter can switch the table of contents off per document
+  const toc =
+    frontMatter.toc === false
+      ? ""
+      : generateTOC(headings, null, context.tocLevels);
+  if (context.links) {
+    html = rewriteDocumentLinks(
+      html,
+      document.file,
+      context.links,
+      context.logger
+    );
+  }
+
+  return {
+    ...meta,
+    heading: meta.title,
+    toc,
+    body: html,
+    headings,
+    imagePaths: extractImagePaths(content),
+  };
+}
+
+// Title of a document as a chapter: manifest, front matter, then file name
+function chapterTitle({ file, frontMatter, chapter = {} }) {
+  if (chapter.title) return chapter.title;
+  if (frontMatter.title !== undefined) return String(frontMatter.title);
+  return path.basename(file, ".md");
+}
+
+// Heading level of a chapter, one level deeper per manifest nesting level
+function chapterLevel({ chapter = {} }) {
+  return Math.min(2 + (chapter.depth || 0), 6);
+}
+
+// Render several Markdown files into the parts of one combined page. With
+// embedImages, each chapter's local images are embedded as data URIs,
+// resolved against that chapter's own file.
+function renderCombined(documents, context, { embedImages = false } = {}) {
+  const { md } = context;
+  const { escapeHtml } = md.utils;
+  // Ids are unique across the whole combined document
+  const usedIds = new Set();
+
+  // First pass: parse every chapter, so links can point at any of them
+  const chapters = documents.map((document) => {
+    const id = uniqueSlug(
+      `chapter ${path.basename(document.file, ".md")}`,
+      usedIds
+    );
+    // Footnote ids are prefixed per chapter so they stay unique
+    const env = { usedIds, docId: id, file: document.file };
+    const tokens = md.parse(document.content, env);
+    reportIncludeErrors(env, document, context.logger);
+
+    // The same headings in the same order, with the ids the file has alone
+    const fileIds = extractHeadings(document.content, md).map((h) => h.id);
+    const ids = new Map();
+    env.headings.forEach((heading, index) => {
+      if (!ids.has(fileIds[index])) ids.set(fileIds[index], heading.id);
+    });
+
+    return { document, id, tokens, env, ids };
+  });
+
+  const links = createCombinedLinks(
+    new Map(
+      chapters.map(({ document, id, ids }) => [
+        path.resolve(document.file),
+        { id, ids },
+      ])
+    )
+  );
+
+  let body = "";
+  let allHeadings = [];
+  const imagePathsByFile = [];
+  let currentPart = null;
+
+  // Second pass: render each chapter on its own and join them
+  chapters.forEach(({ document, id, tokens, env }) => {
+    const { file, content, frontMatter, chapter = {} } = document;
+
+    // Each part opens with its own top-level heading
+    if (chapter.part && chapter.part !== currentPart) {
+      body += `<h1 class="part-title" id="${uniqueSlug(
+        chapter.part,
+        usedIds
+      )}">${escapeHtml(chapter.part)}</h1>\n`;
+    }
+    currentPart = chapter.part || null;
+
+    const level = chapterLevel(document);
+    body += `<h${level} class="chapter-title" id="${id}">${escapeHtml(
+      chapterTitle(document)
+    )}</h${level}>\n`;
+
+    const rendered = md.renderer.render(tokens, md.options, env);
+    reportMathErrors(env, document, context.logger);
+    const html = embedImages
+      ? convertImagesToBase64(file, rendered, context)
+      : rendered;
+    body += rewriteDocumentLinks(html, file, links, context.logger);
+
+    imagePathsByFile.push({ file, imagePaths: extractImagePaths(content) });
+
+    // Documents with toc: false stay out of the combined table of contents
+    if (frontMatter.toc !== false) {
+      allHeadings = allHeadings.concat(
+        env.headings.map((heading) => ({
+          ...heading,
+          text: `${heading.text} (${path.basename(file)})`,
+        }))
+      );
+    }
+  });
+
+  const toc = generateTOC(allHeadings, null, context.tocLevels);
+
+  const page = {
+    title: "Markdown Documentation",
+    heading: "Documentation",
+    toc,
+    body,
+    headings: allHeadings,
+    imagePathsByFile,
+    pdf: { title: "Markdown Documentation", keywords: [] },
+  };
+
+  // A configured cover replaces the plain heading and sets the metadata
+  if (context.cover) {
+    const pdf = coverPdfMetadata(context.cover);
+
+    return {
+      ...page,
+      title: escapeHtml(pdf.title),
+      heading: escapeHtml(pdf.title),
+      cover: renderCover(context.cover, context),
+      author: pdf.author ? escapeHtml(pdf.author) : "",
+      keywords: escapeHtml(pdf.keywords.join(", ")),
+      pdf,
+    };
+  }
+
+  return page;
+}
+
+// Render the parts of an index page linking every document's output;
+// entries are {document, output} with outputs relative to the index
+function renderIndex(entries, context) {
+  const { escapeHtml } = context.md.utils;
+  const items = entries
+    .map(
+      ({ document, output }) =>
+        `<li><a href="${escapeHtml(encodeURI(output))}">${escapeHtml(
+          chapterTitle(document)
+        )}</a> <span class="document-path">${escapeHtml(
+          path.relative(context.sourceRoot, path.resolve(document.file))
+        )}</span></li>`
+    )
+    .join("\n");
+
+  return {
+    title: "Markdown Documentation",
+    heading: "Documentation",
+    toc: "",
+    body: `<ul class="document-index">\n${items}\n</ul>`,
+  };
+}
+
+module.exports = {
+  getDocumentMeta,
+  renderByline,
+  chapterTitle,
+  chapterLevel,
+  renderPage,
+  renderFile,
+  renderCombined,
+  renderIndex,
+};
@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+const HTMLtoDOCX = require("html-to-docx");
+const parse5 = require("parse5");
+const { renderFile, renderCombined, renderByline } = require("./document.cjs");
+const { placeTOC } = require("./markdown.cjs");
+const { CREATOR } = require("./cover.cjs");
+const { convertImagesToBase64 } = require("./images.cjs");
+const { applyRemoteImagePolicy } = require("./remote.cjs");
+const { outputName } = require("./files.cjs");
+const { transformHtml } = require("./plugins.cjs");
+
+// Page sizes in twentieths of a point, portrait
+const PAGE_SIZES = {
+  A4: { width: 11906, height: 16838 },
+  Letter: { width: 12240, height: 15840 },
+  Legal: { width: 12240, height: 20160 },
+};
+
+// Twentieths of a point per unit of the lengths margins accept
+const TWIPS_PER_UNIT = { mm: 56.7, cm: 567, in: 1440, pt: 20, px: 15 };
+
+// Convert a margin length such as "2cm" to twentieths of a point; a bare
+// number is in pixels, as for PDF
+function toTwips(length) {
+  const [, value, unit] = String(length).match(/^([\d.]+)([a-z]*)$/) || [];
+  const twips = Math.round(Number(value) * TWIPS_PER_UNIT[unit || "px"]);
+  if (!Number.isFinite(twips)) {
+    throw new Error(`Invalid margin for DOCX: ${length}`);
+  }
+  return twips;
+}
+
+// Plain text of a parse5 node
+function textOf(node) {
+  if (node.nodeName === "#text") return node.value;
+  return (node.childNodes || []).map(textOf).join("");
+}
+
+// Swap a parse5 node for the nodes parsed from an HTML snippet
+function replaceNode(node, html) {
+  const parent = node.parentNode;
+  const replacement = parse5.parseFragment(html).childNodes;
+  replacement.forEach((child) => {
+    child.parentNode = parent;
+  });
+  parent.childNodes.splice(parent.childNodes.indexOf(node), 1, ...replacement);
+}
+
+// Rewrite what the DOCX converter cannot show: code blocks lose their line
+// breaks, so each line becomes a paragraph; formulas are shown as their TeX
+// source; inline SVG diagrams are left out. Returns the new HTML and the
+// number of diagrams dropped.
+function simplifyForDocx(html, escapeHtml) {
+  const fragment = parse5.parseFragment(html);
+  let diagrams = 0;
+
+  const walk = (node) => {
+    [...(node.childNodes || [])].forEach((child) => {
+      if (!child.tagName) return;
+      const classes = (
+        child.attrs.find((attr) => attr.name === "class") || { value: "" }
+      ).value.split(/\s+/);
+
+      if (child.tagName === "pre") {
+        const lines = textOf(child).replace(/\n$/, "").split("\n");
+        replaceNode(
+          child,
+          lines
+            .map(
+              (line) =>
+                `<p class="code-line"><code>${
+                  escapeHtml(line) || "&nbsp;"
+                }</code></p>`
+            )
+            .join("")
+        );
+      } else if (classes.includes("katex")) {
+        const find = (parent) =>
+          (parent.childNodes || []).reduce(
+            (found, node) =>
+              found || (node.tagName === "annotation" ? node : find(node)),
+            null
+          );
+        const annotation = find(child);
+        replaceNode(
+          child,
+          `<code>${escapeHtml(textOf(annotation || child))}</code>`
+        );
+      } else if (child.tagName === "svg") {
+        diagrams++;
+        replaceNode(child, "");
+      } else {
+        walk(child);
+      }
+    });
+  };
+  walk(fragment);
+
+  return { html: parse5.serialize(fragment), diagrams };
+}
+
+// Convert one rendered page to a DOCX file
+async function writeDocx(doc, files, outputPath, context) {
+  const { escapeHtml } = context.md.utils;
+  const bodyWithToc = placeTOC(doc.body, doc.toc);
+  const content = `${
+    doc.cover || `<h1>${doc.heading}</h1>\n${renderByline(doc)}`
+  }\n${bodyWithToc === null ? `${doc.toc}${doc.body}` : bodyWithToc}`;
+
+  const { html, diagrams } = simplifyForDocx(content, escapeHtml);
+  if (diagrams > 0) {
+    context.logger.warn(
+      `Warning: ${diagrams} diagram${
+        diagrams === 1 ? " is" : "s are"
+      } not supported in DOCX and left out of ${path.relative(
+        process.cwd(),
+        outputPath
+      )}`
+    );
+  }
+
+  const page = transformHtml(
+    `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${doc.title}</title>
+</head>
+<body>
+${html}
+</body>
+</html>
+`,
+    { files, output: outputPath, format: "docx" },
+    context.plugins
+  );
+
+  const { margin, landscape } = context.pageLayout;
+  const margins = {
+    top: toTwips(margin.top),
+    right: toTwips(margin.right),
+    bottom: toTwips(margin.bottom),
+    left: toTwips(margin.left),
+    header: 720,
+    footer: 720,
+    gutter: 0,
+  };
+
+  // The converter's errors, e.g. for an image it cannot read, do not say
+  // which document they come from
+  let buffer;
+  try {
+    buffer = await HTMLtoDOCX(page, null, {
+      title: doc.pdf.title,
+      creator: doc.pdf.author || CREATOR,
+      lastModifiedBy: CREATOR,
+      keywords: doc.pdf.keywords,
+      orientation: landscape ? "landscape" : "portrait",
+      pageSize: PAGE_SIZES[context.paper],
+      margins,
+    });
+  } catch (err) {
+    throw new Error(
+      `Could not convert ${files
+        .map((file) => path.relative(process.cwd(), file))
+        .join(", ")} to DOCX: ${err.message}`
+    );
+  }
+  fs.writeFileSync(outputPath, buffer);
+}
+
+// Convert Markdown to DOCX, embedding images the same way as for PDF
+async function convertToDocx(documents, singleOutput, outputDir, context) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  const results = [];
+
+  if (singleOutput) {
+    const doc = renderCombined(documents, context, { embedImages: true });
+    const body = applyRemoteImagePolicy(doc.body, null, context);
+
+    const outputPath = path.join(outputDir, "combined.docx");
+    const inputs = documents.map((document) => document.file);
+    await writeDocx({ ...doc, body }, inputs, outputPath, context);
+    results.push({ inputs, output: outputPath });
+  } else {
+    for (const document of documents) {
+      const { file } = document;
+      const doc = renderFile(document, context);
+      const body = convertImagesToBase64(
+        file,
+        applyRemoteImagePolicy(doc.body, file, context),
+        context
+      );
+
+      // The output tree mirrors the source tree
+      const outputPath = path.join(
+        outputDir,
+        outputName(file, context.sourceRoot, ".docx")
+      );
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      await writeDocx({ ...doc, body }, [file], outputPath, context);
+      results.push({ inputs: [file], output: outputPath });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { convertToDocx };
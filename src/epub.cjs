@@ -0,0 +1,442 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const JSZip = require("jszip");
+const parse5 = require("parse5");
+const {
+  getDocumentMeta,
+  renderByline,
+  renderFile,
+  chapterTitle,
+  chapterLevel,
+} = require("./document.cjs");
+const { placeTOC } = require("./markdown.cjs");
+const { generateCSS } = require("./styles.cjs");
+const { containsMath } = require("./math.cjs");
+const { renderCover, coverPdfMetadata } = require("./cover.cjs");
+const { convertImagesToBase64 } = require("./images.cjs");
+const { applyRemoteImagePolicy } = require("./remote.cjs");
+const { createFileLinks } = require("./links.cjs");
+const { sourceRoot, outputName } = require("./files.cjs");
+const { transformHtml } = require("./plugins.cjs");
+
+const XHTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Elements written as <tag/>, since they never have content
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// Extensions of the image types pages embed as data URIs
+const IMAGE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/svg+xml": ".svg",
+  "image/webp": ".webp",
+};
+
+const escapeXml = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Serialize a parse5 node as XHTML: void elements closed, namespaces
+// declared where they change, scripts and comments left out
+function serializeXhtml(node, parentNamespace) {
+  if (node.nodeName === "#text") return escapeXml(node.value);
+  if (!node.tagName) {
+    return (node.childNodes || [])
+      .map((child) => serializeXhtml(child, parentNamespace))
+      .join("");
+  }
+  if (node.tagName === "script") return "";
+
+  const namespace = node.namespaceURI;
+  // Declarations are added below; names XML cannot hold are dropped. The
+  // HTML parser keeps prefixes like epub:type as part of the name.
+  const attrs = node.attrs
+    .filter(
+      ({ name, prefix }) =>
+        name !== "xmlns" &&
+        prefix !== "xmlns" &&
+        /^(?:(?:xml|epub):)?[A-Za-z_][\w.-]*$/.test(name)
+    )
+    .map(
+      ({ name, prefix, value }) =>
+        ` ${prefix ? `${prefix}:` : ""}${name}="${escapeXml(value).replace(
+          /"/g,
+          "&quot;"
+        )}"`
+    );
+  if (namespace !== parentNamespace) {
+    attrs.unshift(` xmlns="${namespace}"`);
+    if (namespace === SVG_NAMESPACE) {
+      attrs.push(' xmlns:xlink="http://www.w3.org/1999/xlink"');
+    }
+  }
+  if (node.tagName === "html") {
+    attrs.push(' xmlns:epub="http://www.idpf.org/2007/ops"');
+  }
+
+  const children = (
+    node.tagName === "template" ? node.content : node
+  ).childNodes.map((child) => serializeXhtml(child, namespace));
+  const open = `<${node.tagName}${attrs.join("")}`;
+
+  if (
+    children.length === 0 &&
+    (VOID_ELEMENTS.has(node.tagName) || namespace !== XHTML_NAMESPACE)
+  ) {
+    return `${open}/>`;
+  }
+  return `${open}>${children.join("")}</${node.tagName}>`;
+}
+
+// Turn an HTML page into an XHTML document, as EPUB requires
+function toXhtml(html) {
+  const document = parse5.parse(html);
+  const root = document.childNodes.find((node) => node.tagName === "html");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n${serializeXhtml(
+    root,
+    null
+  )}\n`;
+}
+
+// A stable identifier for a book, derived from its output and sources
+function bookId(output, files) {
+  const hex = crypto
+    .createHash("sha256")
+    .update([output, ...files].join("\0"))
+    .digest("hex");
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(
+    12,
+    16
+  )}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Move the data URI images of a page into the book's image folder,
+// pointing the page at the packaged files
+function packageImages(html, pageName, images) {
+  return html.replace(
+    /(<img\s[^>]*?src=)(["'])data:(image\/[\w+.-]+);base64,([^"']+)\2/gi,
+    (match, prefix, quote, mimeType, data) => {
+      const extension = IMAGE_EXTENSIONS[mimeType.toLowerCase()];
+      if (!extension) return match;
+
+      const hash = crypto.createHash("sha1").update(data).digest("hex");
+      const name = `images/${hash.slice(0, 16)}${extension}`;
+      images.set(name, { data, mimeType });
+
+      const href = path.posix.relative(path.posix.dirname(pageName), name);
+      return `${prefix}${quote}${href}${quote}`;
+    }
+  );
+}
+
+// Nested list of navigation entries, each with a depth, text and href
+function renderNavList(entries, escapeHtml) {
+  let html = "";
+  let depth = -1;
+
+  entries.forEach((entry) => {
+    // A level can only be one deeper than the entry before it
+    const target = Math.min(entry.depth, depth + 1);
+    if (target > depth) {
+      html += "<ol>";
+    } else {
+      html += "</li>";
+      for (; depth > target; depth--) html += "</ol></li>";
+    }
+    depth = target;
+    html += `<li><a href="${escapeHtml(entry.href)}">${escapeHtml(
+      entry.text
+    )}</a>`;
+  });
+  if (depth < 0) return "<ol></ol>";
+
+  html += "</li>";
+  for (; depth > 0; depth--) html += "</ol></li>";
+  return `${html}</ol>`;
+}
+
+// Wrap the body of a book page into an HTML page, let plugins transform it
+// and convert it to XHTML
+function renderBookPage({ title, lang, body, name }, files, output, context) {
+  const stylesheet = path.posix.relative(
+    path.posix.dirname(name),
+    "styles.css"
+  );
+  const language = context.md.utils.escapeHtml(lang);
+  const html = transformHtml(
+    `<!DOCTYPE html>
+<html lang="${language}" xml:lang="${language}">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <link rel="stylesheet" type="text/css" href="${stylesheet}">
+</head>
+<body>
+${body}
+</body>
+</html>
+`,
+    { files, output, format: "epub" },
+    context.plugins
+  );
+
+  return toXhtml(html);
+}
+
+// Manifest properties an XHTML page needs for its content
+function pageProperties(xhtml) {
+  return [
+    /<svg[\s>/]/.test(xhtml) && "svg",
+    /<math[\s>/]/.test(xhtml) && "mathml",
+    /<img\s[^>]*?src=["']https?:/i.test(xhtml) && "remote-resources",
+  ].filter(Boolean);
+}
+
+// Write one EPUB 3 book with a chapter per document
+async function writeBook(book, outputPath, context) {
+  const { documents, title, author, date, chapterLinks } = book;
+  const { escapeHtml } = context.md.utils;
+  const files = documents.map((document) => document.file);
+  const lang = String(documents[0].frontMatter.lang || "en");
+  // Chapters keep the folder layout of their sources inside the book
+  const root = sourceRoot(files);
+  const images = new Map();
+  const pages = [];
+  const nav = [];
+  let math = false;
+
+  if (book.cover) {
+    const name = "cover.xhtml";
+    const body = packageImages(
+      renderCover(context.cover, context),
+      name,
+      images
+    );
+    pages.push({
+      name,
+      xhtml: renderBookPage(
+        { title: escapeHtml(title), lang, body, name },
+        files,
+        outputPath,
+        context
+      ),
+    });
+  }
+
+  documents.forEach((document) => {
+    const { file } = document;
+    const name = outputName(file, root, ".xhtml");
+    const doc = renderFile(document, { ...context, links: chapterLinks });
+    const bodyWithToc = placeTOC(doc.body, doc.toc);
+    const body = packageImages(
+      convertImagesToBase64(
+        file,
+        applyRemoteImagePolicy(
+          bodyWithToc === null ? doc.body : bodyWithToc,
+          file,
+          context
+        ),
+        context
+      ),
+      name,
+      images
+    );
+    math = math || containsMath(body);
+
+    pages.push({
+      name,
+      xhtml: renderBookPage(
+        {
+          title: doc.title,
+          lang,
+          body: `<h1>${doc.heading}</h1>\n${renderByline(doc)}\n${body}`,
+          name,
+        },
+        [file],
+        outputPath,
+        context
+      ),
+    });
+
+    // The chapter itself, then its headings one level deeper
+    const depth = chapterLevel(document) - 2;
+    const { minLevel, maxLevel } = context.tocLevels;
+    nav.push({ depth, text: chapterTitle(document), href: name });
+    doc.headings
+      .filter(({ level }) => level >= minLevel && level <= maxLevel)
+      .forEach((heading) =>
+        nav.push({
+          depth: depth + 1 + heading.level - minLevel,
+          text: heading.text,
+          href: `${name}#${heading.id}`,
+        })
+      );
+  });
+
+  const navPage = renderBookPage(
+    {
+      title: "Contents",
+      lang,
+      body: `<nav epub:type="toc" id="toc">\n<h1>Contents</h1>\n${renderNavList(
+        nav,
+        escapeHtml
+      )}\n</nav>`,
+      name: "nav.xhtml",
+    },
+    files,
+    outputPath,
+    context
+  );
+  const css = generateCSS({ ...context.styling, math })
+    .replace(/<\/?style>/g, "")
+    .trim();
+
+  const item = (id, href, mediaType, properties = []) =>
+    `    <item id="${id}" href="${escapeHtml(href)}" media-type="${mediaType}"${
+      properties.length > 0 ? ` properties="${properties.join(" ")}"` : ""
+    }/>`;
+  const pageIds = pages.map((page, index) => `page-${index + 1}`);
+  const imageNames = [...images.keys()];
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeHtml(
+    lang
+  )}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${bookId(outputPath, files)}</dc:identifier>
+    <dc:title>${escapeHtml(title)}</dc:title>
+    <dc:language>${escapeHtml(lang)}</dc:language>
+${author ? `    <dc:creator>${escapeHtml(author)}</dc:creator>\n` : ""}${
+    date ? `    <dc:date>${date.toISOString().slice(0, 10)}</dc:date>\n` : ""
+  }    <meta property="dcterms:modified">${new Date()
+    .toISOString()
+    .replace(/\.\d+Z$/, "Z")}</meta>
+  </metadata>
+  <manifest>
+${[
+  item("nav", "nav.xhtml", "application/xhtml+xml", ["nav"]),
+  item("styles", "styles.css", "text/css"),
+  ...pages.map((page, index) =>
+    item(
+      pageIds[index],
+      page.name,
+      "application/xhtml+xml",
+      pageProperties(page.xhtml)
+    )
+  ),
+  ...imageNames.map((name, index) =>
+    item(`image-${index + 1}`, name, images.get(name).mimeType)
+  ),
+].join("\n")}
+  </manifest>
+  <spine>
+${pageIds.map((id) => `    <itemref idref="${id}"/>`).join("\n")}
+  </spine>
+</package>
+`;
+
+  const zip = new JSZip();
+  // The mimetype comes first and uncompressed, so readers can sniff it
+  zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+  zip.file(
+    "META-INF/container.xml",
+    `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`
+  );
+  zip.file("OEBPS/content.opf", opf);
+  zip.file("OEBPS/nav.xhtml", navPage);
+  zip.file("OEBPS/styles.css", css);
+  pages.forEach(({ name, xhtml }) => zip.file(`OEBPS/${name}`, xhtml));
+  images.forEach(({ data }, name) =>
+    zip.file(`OEBPS/${name}`, data, { base64: true })
+  );
+
+  fs.writeFileSync(
+    outputPath,
+    await zip.generateAsync({
+      type: "nodebuffer",
+      compression: "DEFLATE",
+      mimeType: "application/epub+zip",
+    })
+  );
+}
+
+// Convert Markdown to EPUB: one book of all documents in single mode,
+// otherwise a book per document
+async function convertToEpub(documents, singleOutput, outputDir, context) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  const results = [];
+
+  if (singleOutput) {
+    const outputPath = path.join(outputDir, "combined.epub");
+    const inputs = documents.map((document) => document.file);
+    const meta = context.cover
+      ? coverPdfMetadata(context.cover)
+      : { title: "Markdown Documentation" };
+
+    await writeBook(
+      {
+        documents,
+        title: meta.title,
+        author: meta.author,
+        date: meta.date,
+        cover: Boolean(context.cover),
+        // Links between documents lead to their chapters in the book
+        chapterLinks: createFileLinks(documents, ".xhtml", context.md),
+      },
+      outputPath,
+      context
+    );
+    results.push({ inputs, output: outputPath });
+    context.logger.log(`Combined EPUB generated at ${outputPath}`);
+  } else {
+    for (const document of documents) {
+      const outputPath = path.join(
+        outputDir,
+        outputName(document.file, context.sourceRoot, ".epub")
+      );
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      const { pdf } = getDocumentMeta(document, context.md.utils.escapeHtml);
+
+      await writeBook(
+        {
+          documents: [document],
+          title: pdf.title,
+          author: pdf.author,
+          date: pdf.date,
+          cover: false,
+          chapterLinks: context.links,
+        },
+        outputPath,
+        context
+      );
+      results.push({ inputs: [document.file], output: outputPath });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { toXhtml, convertToEpub };
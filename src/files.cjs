@@ -0,0 +1,113 @@
+const fs = require("fs");
+const path = require("path");
+const picomatch = require("picomatch");
+
+// Compare names so that numbers sort by value: 2-setup before 10-intro
+const collator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: "base",
+});
+function naturalCompare(a, b) {
+  return collator.compare(a, b) || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+// Traverse directory to find Markdown files
+function traverseDirectory(useDirectory) {
+  let mdFiles = [];
+  function scanDir(directory) {
+    fs.readdirSync(directory)
+      .sort(naturalCompare)
+      .forEach((file) => {
+        const fullPath = path.join(directory, file);
+        if (fs.statSync(fullPath).isDirectory()) {
+          scanDir(fullPath);
+        } else if (path.extname(fullPath) === ".md") {
+          mdFiles.push(fullPath);
+        }
+      });
+  }
+  scanDir(useDirectory);
+  return mdFiles;
+}
+
+// Expand a list of files and directories into Markdown files
+function collectMarkdownFiles(inputs, { include = [], exclude = [] } = {}) {
+  let mdFiles = [];
+  const isIncluded = include.length > 0 ? picomatch(include) : () => true;
+  const isExcluded = exclude.length > 0 ? picomatch(exclude) : () => false;
+
+  inputs.forEach((input) => {
+    if (!fs.existsSync(input)) {
+      throw new Error(`Input not found: ${input}`);
+    }
+
+    if (fs.statSync(input).isDirectory()) {
+      // Globs match paths relative to the scanned directory
+      const files = traverseDirectory(input).filter((file) => {
+        const relativePath = path
+          .relative(input, file)
+          .split(path.sep)
+          .join("/");
+        return isIncluded(relativePath) && !isExcluded(relativePath);
+      });
+      mdFiles = mdFiles.concat(files);
+    } else {
+      mdFiles.push(input);
+    }
+  });
+
+  // The same file may be reachable from several inputs
+  return [...new Set(mdFiles)];
+}
+
+// Move the files listed in order to the front, keeping the rest in place
+function applyOrder(files, order) {
+  if (!order || order.length === 0) return files;
+
+  const ranks = new Map(
+    order.map((file, index) => [path.resolve(file), index])
+  );
+  const rankOf = (file) => {
+    const rank = ranks.get(path.resolve(file));
+    return rank === undefined ? order.length : rank;
+  };
+
+  // Array.prototype.sort is stable, so unlisted files keep traversal order
+  return [...files].sort((a, b) => rankOf(a) - rankOf(b));
+}
+
+// Deepest directory containing every file; per-file outputs mirror the
+// tree below it
+function sourceRoot(files) {
+  return files
+    .map((file) => path.dirname(path.resolve(file)))
+    .reduce((root, dir) => {
+      let common = root;
+      while (path.relative(common, dir).split(path.sep)[0] === "..") {
+        common = path.dirname(common);
+      }
+      return common;
+    });
+}
+
+// Output path of a source file relative to the output directory, e.g.
+// guide/intro.md -> guide/intro.html, always with forward slashes
+function outputName(file, root, extension) {
+  const relative = path.relative(root, path.resolve(file));
+  return path
+    .join(
+      path.dirname(relative),
+      `${path.basename(relative, ".md")}${extension}`
+    )
+    .split(path.sep)
+    .join("/");
+}
+
+module.exports = {
+  naturalCompare,
+  traverseDirectory,
+  collectMarkdownFiles,
+  applyOrder,
+  sourceRoot,
+  outputName,
+};
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+
+// Front matter is a YAML block fenced by --- at the very top of the file
+const FRONT_MATTER_REGEX =
+  /^\uFEFF?---[ \t]*\r?\n([\s\S]*?\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Split YAML front matter from the Markdown body
+function parseFrontMatter(source, file) {
+  const match = source.match(FRONT_MATTER_REGEX);
+  if (!match) {
+    return { data: {}, content: source };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1] || "") || {};
+  } catch (err) {
+    throw new Error(`Invalid front matter in ${file}: ${err.message}`);
+  }
+
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Invalid front matter in ${file}: expected a mapping`);
+  }
+
+  return { data, content: source.slice(match[0].length) };
+}
+
+// Format a front matter date for display, keeping free-form strings as-is
+function formatDate(date) {
+  if (date instanceof Date) {
+    return date.toISOString().slice(0, 10);
+  }
+  return date === undefined || date === null ? "" : String(date);
+}
+
+// Read a Markdown file along with its front matter
+function loadDocument(file) {
+  const source = fs.readFileSync(file, "utf-8");
+  const { data, content } = parseFrontMatter(source, file);
+
+  return {
+    file,
+    content,
+    frontMatter: data,
+    // Lines taken by the front matter, to report positions in the source file
+    lineOffset:
+      source.slice(0, source.length - content.length).split("\n").length - 1,
+  };
+}
+
+module.exports = {
+  parseFrontMatter,
+  formatDate,
+  loadDocument,
+};
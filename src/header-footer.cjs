@@ -0,0 +1,212 @@
+const { PDFDocument } = require("pdf-lib");
+const {
+  readNamedDestinations,
+  locateHeadings,
+} = require("./pdf-destinations.cjs");
+
+// Page dimensions in portrait orientation, matching Chrome's paper formats
+const PAPER_DIMENSIONS = {
+  A4: { width: "210mm", height: "297mm" },
+  Letter: { width: "8.5in", height: "11in" },
+  Legal: { width: "8.5in", height: "14in" },
+};
+
+// Headings up to this level count as sections for the {{section}} placeholder
+const SECTION_LEVEL = 2;
+
+const PLACEHOLDER_REGEX = /\{\{\s*(title|section|page|pages|date)\s*\}\}/g;
+const LENGTH_REGEX = /^\d+(\.\d+)?(mm|cm|in|px|pt)?$/;
+
+// Parse a CSS-style margin shorthand such as "2cm" or "2cm 1.5cm"
+function parseMargin(value) {
+  const parts = String(value).trim().split(/\s+/);
+  const invalid = parts.find((part) => !LENGTH_REGEX.test(part));
+
+  if (parts.length > 4 || invalid !== undefined) {
+    throw new Error(
+      `Invalid margin: ${value}. Use one to four lengths such as "2cm 1.5cm"`
+    );
+  }
+
+  const [top, right = top, bottom = top, left = right] = parts;
+  return { top, right, bottom, left };
+}
+
+// Work out margins and header/footer settings for PDF pages
+function resolvePageLayout({
+  header = "",
+  footer = "",
+  margin,
+  landscape = false,
+  skipFirstPage = false,
+}) {
+  // Sides carrying a header or footer get more room unless set explicitly
+  const defaultMargin = {
+    top: header ? "2cm" : "1cm",
+    right: "1cm",
+    bottom: footer ? "2cm" : "1cm",
+    left: "1cm",
+  };
+
+  return {
+    header,
+    footer,
+    landscape,
+    skipFirstPage,
+    margin: margin ? parseMargin(margin) : defaultMargin,
+  };
+}
+
+// Replace the placeholders of a header or footer template
+function fillTemplate(template, values) {
+  return template.replace(PLACEHOLDER_REGEX, (match, key) => values[key]);
+}
+
+// Find the section shown on each page: the first one starting on it, or
+// the last one started on an earlier page
+function sectionsByPage(locatedHeadings, pageCount) {
+  const sections = [];
+  let current = "";
+
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    const onPage = locatedHeadings.filter(
+      (heading) =>
+        heading.pageIndex === pageIndex && heading.level <= SECTION_LEVEL
+    );
+
+    sections.push(onPage.length > 0 ? onPage[0].text : current);
+    if (onPage.length > 0) current = onPage[onPage.length - 1].text;
+  }
+
+  return sections;
+}
+
+// Build one page per PDF page, holding only the header and footer
+function renderOverlay(sheets, layout, paper) {
+  const dimensions = PAPER_DIMENSIONS[paper];
+  const width = layout.landscape ? dimensions.height : dimensions.width;
+  const height = layout.landscape ? dimensions.width : dimensions.height;
+  const { margin } = layout;
+
+  const pages = sheets
+    .map(
+      ({ header, footer }) => `
+      <div class="sheet">
+        <div class="header">${header}</div>
+        <div class="footer">${footer}</div>
+      </div>`
+    )
+    .join("");
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <style>
+        @page { size: ${width} ${height}; margin: 0; }
+        html, body { margin: 0; padding: 0; }
+        .sheet {
+          position: relative;
+          width: ${width};
+          height: ${height};
+          overflow: hidden;
+          page-break-after: always;
+        }
+        .sheet:last-child { page-break-after: auto; }
+        .header, .footer {
+          position: absolute;
+          left: ${margin.left};
+          right: ${margin.right};
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+          font-size: 9pt;
+          color: #666;
+        }
+        .header { top: 0; height: ${margin.top}; }
+        .footer { bottom: 0; height: ${margin.bottom}; }
+      </style>
+    </head>
+    <body>${pages}</body>
+    </html>
+  `;
+}
+
+// Hidden links to every heading, so Chrome writes a named destination for each
+function renderDestinationAnchors(headings) {
+  const links = headings
+    .map((heading) => `<a href="#${heading.id}"></a>`)
+    .join("");
+  return `<div class="pdf-destinations" style="display: none">${links}</div>`;
+}
+
+// Stamp the header and footer onto every page of a printed PDF
+async function addHeaderFooter(pdfDoc, page, doc, context) {
+  const { pageLayout, paper, md } = context;
+  const pdfPages = pdfDoc.getPages();
+  const pageCount = pdfPages.length;
+
+  const located = locateHeadings(
+    doc.headings || [],
+    readNamedDestinations(pdfDoc)
+  );
+  const sections = sectionsByPage(located, pageCount);
+  const date = doc.date || new Date().toISOString().slice(0, 10);
+
+  const sheets = pdfPages.map((_, index) => {
+    const values = {
+      title: doc.title,
+      section: md.utils.escapeHtml(sections[index]),
+      page: String(index + 1),
+      pages: String(pageCount),
+      date,
+    };
+
+    // The first page keeps its numbering but can go without header and footer
+    if (index === 0 && pageLayout.skipFirstPage) {
+      return { header: "", footer: "" };
+    }
+
+    return {
+      header: fillTemplate(pageLayout.header, values),
+      footer: fillTemplate(pageLayout.footer, values),
+    };
+  });
+
+  await page.setContent(renderOverlay(sheets, pageLayout, paper), {
+    waitUntil: "load",
+  });
+  const overlayBuffer = await page.pdf({
+    format: paper,
+    landscape: pageLayout.landscape,
+    margin: { top: 0, right: 0, bottom: 0, left: 0 },
+  });
+
+  // Pages that overflowed the overlay are simply left unstamped
+  const overlayDoc = await PDFDocument.load(overlayBuffer);
+  const stampCount = Math.min(overlayDoc.getPageCount(), pageCount);
+  const overlays = await pdfDoc.embedPdf(overlayDoc, [
+    ...Array(stampCount).keys(),
+  ]);
+
+  overlays.forEach((overlay, index) => {
+    const pdfPage = pdfPages[index];
+    pdfPage.drawPage(overlay, {
+      x: 0,
+      y: 0,
+      width: pdfPage.getWidth(),
+      height: pdfPage.getHeight(),
+    });
+  });
+}
+
+module.exports = {
+  parseMargin,
+  resolvePageLayout,
+  fillTemplate,
+  sectionsByPage,
+  renderDestinationAnchors,
+  addHeaderFooter,
+};
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  copyImages,
+  processHtmlImagesForHtml,
+  convertImagesToBase64,
+} = require("./images.cjs");
+const {
+  renderPage,
+  renderFile,
+  renderCombined,
+  renderIndex,
+} = require("./document.cjs");
+const { outputName } = require("./files.cjs");
+const { applyRemoteImagePolicy } = require("./remote.cjs");
+const { transformHtml } = require("./plugins.cjs");
+
+// Render the final page and let plugins transform it before it is written
+function writePage(doc, files, outputPath, context, format = "html") {
+  const html = transformHtml(
+    renderPage(doc, context),
+    { files, output: outputPath, format },
+    context.plugins
+  );
+  fs.writeFileSync(outputPath, html);
+}
+
+// Point the images of a page at copies next to it
+function copyPageImages(html, imagePathsByFile, pageDir, context) {
+  let allImagePaths = [];
+  let allImageOutputPaths = [];
+
+  // Copy images next to the output, resolved against their own source file
+  imagePathsByFile.forEach(({ file, imagePaths }) => {
+    const newImagePaths = copyImages(file, imagePaths, pageDir, context);
+
+    allImagePaths = [...allImagePaths, ...imagePaths];
+    allImageOutputPaths = [...allImageOutputPaths, ...newImagePaths];
+  });
+
+  return processHtmlImagesForHtml(html, allImagePaths, allImageOutputPaths);
+}
+
+// Convert Markdown to HTML. The html-standalone format embeds images, so
+// each page is a single file that can be sent on its own; styles are
+// always inlined.
+function convertToHtml(
+  documents,
+  singleOutput,
+  outputDir,
+  context,
+  format = "html"
+) {
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  const embed = format === "html-standalone";
+  const results = [];
+
+  if (singleOutput) {
+    // Standalone pages embed each chapter's images as it is rendered
+    const doc = renderCombined(documents, context, { embedImages: embed });
+    const body = applyRemoteImagePolicy(doc.body, null, context);
+    const htmlWithImages = embed
+      ? body
+      : copyPageImages(body, doc.imagePathsByFile, outputDir, context);
+
+    const outputPath = path.join(outputDir, "combined.html");
+    const inputs = documents.map((document) => document.file);
+    writePage(
+      { ...doc, body: htmlWithImages },
+      inputs,
+      outputPath,
+      context,
+      format
+    );
+    results.push({ inputs, output: outputPath });
+  } else {
+    documents.forEach((document) => {
+      const { file } = document;
+      const doc = renderFile(document, context);
+      // The output tree mirrors the source tree
+      const outputPath = path.join(
+        outputDir,
+        outputName(file, context.sourceRoot, ".html")
+      );
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+      const body = applyRemoteImagePolicy(doc.body, file, context);
+      const htmlWithImages = embed
+        ? convertImagesToBase64(file, body, context)
+        : copyPageImages(
+            body,
+            [{ file, imagePaths: doc.imagePaths }],
+            path.dirname(outputPath),
+            context
+          );
+
+      writePage(
+        { ...doc, body: htmlWithImages },
+        [file],
+        outputPath,
+        context,
+        format
+      );
+      results.push({ inputs: [file], output: outputPath });
+    });
+  }
+
+  return results;
+}
+
+// Write an index.html linking the per-file outputs of every document,
+// unless a document is already rendered to it
+function writeIndex(documents, extension, outputDir, context) {
+  const entries = documents.map((document) => ({
+    document,
+    output: outputName(document.file, context.sourceRoot, extension),
+  }));
+  if (entries.some(({ output }) => output === "index.html")) {
+    return null;
+  }
+
+  const outputPath = path.join(outputDir, "index.html");
+  const inputs = documents.map((document) => document.file);
+  fs.mkdirSync(outputDir, { recursive: true });
+  writePage(renderIndex(entries, context), inputs, outputPath, context);
+  return outputPath;
+}
+
+module.exports = { convertToHtml, writeIndex };
@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+const { safeDecode } = require("./links.cjs");
+
+// Default image path remappings, used when no remap option is given
+const DEFAULT_PATH_MAPPINGS = [
+  {
+    from: /\/assets\//g,
+    to: "/_assets/",
+  },
+];
+
+// Build the image path remapping configuration for a conversion
+function createImagePathConfig(remap) {
+  const pathMappings = [];
+
+  if (remap && remap.length > 0) {
+    remap.forEach(({ from, to }) => {
+      // Plain strings match exactly, regular expressions are used as given
+      const fromRegex =
+        from instanceof RegExp
+          ? from
+          : new RegExp(from.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g");
+      pathMappings.push({ from: fromRegex, to });
+    });
+  } else {
+    pathMappings.push(...DEFAULT_PATH_MAPPINGS);
+  }
+
+  return {
+    // Enable path remapping
+    enableRemapping: true,
+
+    // Remap specific paths or patterns
+    pathMappings,
+
+    // Whether to process external URLs (starting with http:// or https://)
+    handleExternalUrls: true,
+  };
+}
+
+// Parse a comma-separated list of 'from:to' pairs into remap rules
+function parseRemapList(value) {
+  if (!value) return [];
+
+  return value
+    .split(",")
+    .map((pair) => pair.split(":"))
+    .filter(([from, to]) => from && to)
+    .map(([from, to]) => ({ from, to }));
+}
+
+// Remap image path according to configuration
+function remapImagePath(imagePath, imagePathConfig) {
+  // Don't process external URLs as file paths
+  if (imagePath.match(/^https?:\/\//i)) {
+    return {
+      path: imagePath,
+      isExternal: true,
+    };
+  }
+
+  let remappedPath = imagePath;
+
+  // Apply path mappings if enabled
+  if (imagePathConfig.enableRemapping) {
+    for (const mapping of imagePathConfig.pathMappings) {
+      remappedPath = remappedPath.replace(mapping.from, mapping.to);
+    }
+  }
+
+  return {
+    path: remappedPath,
+    isExternal: false,
+  };
+}
+
+// Resolve an image reference to a local file, or null for external URLs
+function resolveImagePath(sourceFilePath, imagePath, imagePathConfig) {
+  const remappedImage = remapImagePath(imagePath, imagePathConfig);
+  if (remappedImage.isExternal) return null;
+
+  return path.resolve(path.dirname(sourceFilePath), remappedImage.path);
+}
+
+// Extract image paths from markdown content
+function extractImagePaths(content) {
+  // Updated regex to handle image paths that may include title attributes
+  const regex = /!\[.*?\]\((.*?)(?:\s+".*?")?\)/g;
+  const imagePaths = [];
+  let match;
+
+  while ((match = regex.exec(content)) !== null) {
+    // Add the image path to our array, excluding any title attribute
+    imagePaths.push(match[1].trim());
+  }
+
+  return imagePaths;
+}
+
+// Copy images into an images folder next to the HTML page showing them,
+// returning their paths relative to the page
+function copyImages(sourceFilePath, imagePaths, pageDir, context) {
+  const { imagePathConfig, logger } = context;
+  const sourceDir = path.dirname(sourceFilePath);
+  const imagesOutputDir = path.join(pageDir, "images");
+
+  return imagePaths.map((imagePath) => {
+    // Skip external URLs
+    if (imagePath.match(/^https?:\/\//i)) {
+      logger.log(`External URL detected, keeping as-is: ${imagePath}`);
+      return imagePath; // Keep external URLs as they are
+    }
+
+    // Apply path remapping
+    const remappedImage = remapImagePath(imagePath, imagePathConfig);
+
+    // If it's an external URL after remapping, return as is
+    if (remappedImage.isExternal) {
+      return remappedImage.path;
+    }
+
+    // Use the remapped path for resolution; URLs may be percent-encoded
+    const pathToResolve = safeDecode(remappedImage.path);
+
+    // Resolve image path relative to markdown file
+    const resolvedImagePath = path.resolve(sourceDir, pathToResolve);
+
+    if (fs.existsSync(resolvedImagePath)) {
+      // Preserve subdirectory structure within the images folder
+      const relativeDir = path.dirname(pathToResolve).replace(/^\.\//, "");
+      const nestedOutputDir = path.join(imagesOutputDir, relativeDir);
+
+      const fileName = path.basename(resolvedImagePath);
+      const finalOutputDir =
+        relativeDir === "." ? imagesOutputDir : nestedOutputDir;
+      const outputPath = path.join(finalOutputDir, fileName);
+
+      // Only pages with images get an images folder
+      fs.mkdirSync(finalOutputDir, { recursive: true });
+
+      // Copy image to output directory
+      fs.copyFileSync(resolvedImagePath, outputPath);
+
+      // Return relative path for HTML reference
+      return relativeDir === "."
+        ? `images/${fileName}`
+        : `images/${relativeDir}/${fileName}`;
+    }
+
+    logger.warn(`Warning: Image not found: ${resolvedImagePath}`);
+    // If image doesn't exist, return original path
+    return imagePath;
+  });
+}
+
+// Process image paths in HTML content for HTML output
+function processHtmlImagesForHtml(html, originalPaths, newPaths) {
+  let processedHtml = html;
+
+  for (let i = 0; i < originalPaths.length; i++) {
+    // Escape special characters in the original path for regex
+    const escapedOrigPath = originalPaths[i].replace(
+      /[.*+?^${}()|[\]\\]/g,
+      "\\$&"
+    );
+    const regex = new RegExp(`src="${escapedOrigPath}"`, "g");
+    processedHtml = processedHtml.replace(regex, `src="${newPaths[i]}"`);
+  }
+
+  return processedHtml;
+}
+
+// Read an image file into a base64 data URI
+function imageToDataUri(imageFile) {
+  // Get image file extension and use appropriate MIME type
+  const ext = path.extname(imageFile).substring(1).toLowerCase();
+  let mimeType;
+
+  switch (ext) {
+    case "jpg":
+    case "jpeg":
+      mimeType = "image/jpeg";
+      break;
+    case "png":
+      mimeType = "image/png";
+      break;
+    case "gif":
+      mimeType = "image/gif";
+      break;
+    case "svg":
+      mimeType = "image/svg+xml";
+      break;
+    case "webp":
+      mimeType = "image/webp";
+      break;
+    default:
+      mimeType = `image/${ext}`;
+  }
+
+  // Read image file and convert to base64
+  const imageBuffer = fs.readFileSync(imageFile);
+  const base64Image = imageBuffer.toString("base64");
+  return `data:${mimeType};base64,${base64Image}`;
+}
+
+// Convert images to base64 for PDF embedding
+function convertImagesToBase64(sourceFilePath, html, context) {
+  const { imagePathConfig, logger } = context;
+  const sourceDir = path.dirname(sourceFilePath);
+  const imgRegex = /<img[^>]+src="([^"]+)"[^>]*>/g;
+  let processedHtml = html;
+  let match;
+  let imgTags = [];
+
+  // First collect all img tags to avoid regex iterator issues with replacements
+  while ((match = imgRegex.exec(html)) !== null) {
+    imgTags.push({
+      fullTag: match[0],
+      src: match[1],
+    });
+  }
+
+  // Now process each image
+  for (const img of imgTags) {
+    const imgTag = img.fullTag;
+    const imgSrc = img.src;
+
+    // Handle external URLs differently
+    if (imgSrc.match(/^https?:\/\//i)) {
+      logger.log(`External URL image detected: ${imgSrc}`);
+      // Keep external URLs as they are
+      continue;
+    }
+
+    // Images embedded by an earlier pass are already data URIs
+    if (imgSrc.startsWith("data:")) {
+      continue;
+    }
+
+    // Apply path remapping
+    const remappedImage = remapImagePath(imgSrc, imagePathConfig);
+
+    // If it's an external URL after remapping, skip embedding
+    if (remappedImage.isExternal) {
+      continue;
+    }
+
+    // Use the remapped path for resolution; URLs may be percent-encoded
+    const pathToResolve = safeDecode(remappedImage.path);
+
+    // Resolve image path relative to markdown file
+    const resolvedImagePath = path.resolve(sourceDir, pathToResolve);
+
+    if (fs.existsSync(resolvedImagePath)) {
+      const dataUri = imageToDataUri(resolvedImagePath);
+
+      // Replace image source with base64 data URI
+      const newImgTag = imgTag.replace(`src="${imgSrc}"`, `src="${dataUri}"`);
+      processedHtml = processedHtml.replace(imgTag, newImgTag);
+
+      logger.log(`Embedded image: ${path.basename(resolvedImagePath)}`);
+    } else {
+      logger.warn(
+        `Warning: Image not found for embedding: ${resolvedImagePath}`
+      );
+    }
+  }
+
+  return processedHtml;
+}
+
+module.exports = {
+  createImagePathConfig,
+  parseRemapList,
+  remapImagePath,
+  resolveImagePath,
+  extractImagePaths,
+  copyImages,
+  processHtmlImagesForHtml,
+  imageToDataUri,
+  convertImagesToBase64,
+};
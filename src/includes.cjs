@@ -0,0 +1,204 @@
+const fs = require("fs");
+const path = require("path");
+const { loadDocument } = require("./frontmatter.cjs");
+
+// <!-- include: path/to/file.md --> on a line of its own
+const INCLUDE_REGEX = /^([ \t]*)<!--\s*include:\s*(.+?)\s*-->[ \t]*$/;
+
+// Opening or closing line of a fenced code block
+const FENCE_REGEX = /^[ \t]{0,3}(`{3,}|~{3,})(.*)$/;
+
+// Inline code (skipped), Markdown links and images, and raw HTML references
+const INLINE_REFERENCE_REGEX =
+  /(`+)[^`]*?\1|(!?\[[^\]]*\]\()(<[^>]*>|[^)\s]+)|(<(?:img|a)\s[^>]*?\b(?:src|href)=)(["'])(.*?)\5/gi;
+
+// Reference-style link definitions: [label]: target
+const DEFINITION_REGEX = /^( {0,3}\[[^\]]+\]:[ \t]*)(<[^>]*>|\S+)/;
+
+// Code blocks that include a file name it in their info string
+const CODE_INCLUDE_REGEX = /(\binclude=)(["']?)([^"'\s]+)\2/;
+
+// The code fence still open after a line, or null outside code blocks
+function fenceAfter(line, fence) {
+  const match = line.match(FENCE_REGEX);
+  if (!fence) return match ? match[1] : null;
+
+  // Closed by a bare fence of the same kind that is at least as long
+  const closes = match && match[1].startsWith(fence) && !match[2].trim();
+  return closes ? null : fence;
+}
+
+// Show paths relative to the working directory in messages
+function displayPath(file) {
+  return path.relative(process.cwd(), file);
+}
+
+// Make a relative URL written in fromDir work from toDir
+function rebaseUrl(url, fromDir, toDir) {
+  const bracketed = url.startsWith("<");
+  const target = bracketed ? url.slice(1, -1) : url;
+  if (
+    !target ||
+    target.startsWith("#") ||
+    target.startsWith("/") ||
+    /^[a-z][a-z0-9+.-]*:/i.test(target)
+  ) {
+    return url;
+  }
+
+  // The directories are encoded; the target keeps its own encoding
+  const prefix = path
+    .relative(toDir, fromDir)
+    .split(path.sep)
+    .filter(Boolean)
+    .map(encodeURIComponent)
+    .join("/");
+  const rebased = prefix ? path.posix.normalize(`${prefix}/${target}`) : target;
+
+  return bracketed ? `<${rebased}>` : rebased;
+}
+
+// Rewrite the relative links, images and code includes of included Markdown
+// so they still point at the same files from the including document
+function rebaseReferences(content, fromDir, toDir) {
+  if (fromDir === toDir) return content;
+  let fence = null;
+
+  return content
+    .split("\n")
+    .map((line) => {
+      const inCode = fence !== null;
+      fence = fenceAfter(line, fence);
+      if (inCode) return line;
+      if (fence) {
+        return line.replace(
+          CODE_INCLUDE_REGEX,
+          (match, key, quote, target) =>
+            `${key}${quote}${rebaseUrl(target, fromDir, toDir)}${quote}`
+        );
+      }
+
+      return line
+        .replace(
+          DEFINITION_REGEX,
+          (match, prefix, url) => prefix + rebaseUrl(url, fromDir, toDir)
+        )
+        .replace(
+          INLINE_REFERENCE_REGEX,
+          (match, code, linkPrefix, linkUrl, htmlPrefix, quote, htmlUrl) => {
+            if (code) return match;
+            if (linkPrefix) {
+              return linkPrefix + rebaseUrl(linkUrl, fromDir, toDir);
+            }
+            return `${htmlPrefix}${quote}${rebaseUrl(
+              htmlUrl,
+              fromDir,
+              toDir
+            )}${quote}`;
+          }
+        );
+    })
+    .join("\n");
+}
+
+// Replace the include directives of a file's content with the included
+// files, recursively. chain holds the directives that led to this file.
+// Returns the expanded content and, for each of its lines, the file and
+// line it comes from.
+function expand(content, file, lineOffset, chain, includes) {
+  const lines = [];
+  const lineMap = [];
+  let fence = null;
+
+  content.split("\n").forEach((line, index) => {
+    const origin = { file, line: index + 1 + lineOffset };
+
+    // Directives inside code blocks are shown as written
+    const inCode = fence !== null;
+    fence = fenceAfter(line, fence);
+    const directive = !inCode && !fence && line.match(INCLUDE_REGEX);
+    if (!directive) {
+      lines.push(line);
+      lineMap.push(origin);
+      return;
+    }
+
+    const [, indent, target] = directive;
+    const included = path.resolve(path.dirname(file), target);
+    const here = [origin, ...chain];
+    const trail = here
+      .map(
+        (frame) => `\n  included from ${displayPath(frame.file)}:${frame.line}`
+      )
+      .join("");
+
+    if (!fs.existsSync(included) || !fs.statSync(included).isFile()) {
+      throw new Error(`Included file not found: ${target}${trail}`);
+    }
+    if (here.some((frame) => frame.file === included)) {
+      const cycle = [...here]
+        .reverse()
+        .map((frame) => `${displayPath(frame.file)}:${frame.line}`)
+        .concat(displayPath(included));
+      throw new Error(`Include cycle: ${cycle.join(" -> ")}`);
+    }
+    includes.add(included);
+
+    const source = loadDocument(included);
+    const body = expand(
+      source.content.replace(/\n$/, ""),
+      included,
+      source.lineOffset,
+      here,
+      includes
+    );
+
+    // Indented directives, e.g. in a list item, indent what they include
+    rebaseReferences(body.content, path.dirname(included), path.dirname(file))
+      .split("\n")
+      .forEach((includedLine) => {
+        lines.push(includedLine ? indent + includedLine : "");
+      });
+    lineMap.push(...body.lineMap);
+  });
+
+  return { content: lines.join("\n"), lineMap };
+}
+
+// Expand the <!-- include: ... --> directives of a document, returning its
+// new content, the files it pulled in and where each line comes from
+function expandIncludes(document) {
+  const file = path.resolve(document.file);
+  const includes = new Set();
+  const { content, lineMap } = expand(
+    document.content,
+    file,
+    document.lineOffset || 0,
+    [],
+    includes
+  );
+
+  return {
+    content,
+    includes: [...includes],
+    // Lines of the document itself are reported under the name it was given
+    lineMap: lineMap.map((origin) => ({
+      file: origin.file === file ? document.file : displayPath(origin.file),
+      line: origin.line,
+    })),
+  };
+}
+
+// The file and line that line number line of a document's content comes
+// from, following includes
+function sourceLocation(document, line) {
+  const origin = document.lineMap && document.lineMap[line - 1];
+  return (
+    origin || { file: document.file, line: line + (document.lineOffset || 0) }
+  );
+}
+
+module.exports = {
+  expandIncludes,
+  sourceLocation,
+};
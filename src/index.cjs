@@ -0,0 +1,25 @@
+const { parseRemapList } = require("./images.cjs");
+const { parseSyntaxList } = require("./syntax.cjs");
+const { traverseDirectory } = require("./files.cjs");
+const { loadConfig, mergeOptions } = require("./config.cjs");
+const { FORMATS, PAPER_SIZES } = require("./constants.cjs");
+const { convert } = require("./convert.cjs");
+const { watch } = require("./watch.cjs");
+const { serve } = require("./serve.cjs");
+const { check } = require("./check.cjs");
+const { formatReport } = require("./references.cjs");
+
+module.exports = {
+  convert,
+  watch,
+  serve,
+  check,
+  formatReport,
+  loadConfig,
+  mergeOptions,
+  traverseDirectory,
+  parseRemapList,
+  parseSyntaxList,
+  FORMATS,
+  PAPER_SIZES,
+};
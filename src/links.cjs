@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const { extractHeadings } = require("./markdown.cjs");
+const { sourceRoot, outputName } = require("./files.cjs");
+
+// Decode a percent-encoded link part, leaving malformed ones as written
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// Split a relative link into the Markdown file it targets and its fragment
+function parseDocumentLink(href, sourceFile) {
+  // External URLs and site-absolute paths are left alone
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith("/")) return null;
+
+  const [target, fragment = ""] = href.split(/#(.*)/s);
+  const filePath = target.split("?")[0];
+
+  // A bare fragment points into the linking document itself
+  if (filePath === "") {
+    return fragment
+      ? { file: path.resolve(sourceFile), fragment: safeDecode(fragment) }
+      : null;
+  }
+  if (path.extname(filePath).toLowerCase() !== ".md") return null;
+
+  return {
+    file: path.resolve(path.dirname(sourceFile), safeDecode(filePath)),
+    fragment: safeDecode(fragment),
+  };
+}
+
+// Explain why a linked document is not available
+function missingTarget(file) {
+  return fs.existsSync(file) ? "not part of this build" : "file not found";
+}
+
+// Resolve links between documents rendered to separate output files
+function createFileLinks(documents, extension, md) {
+  const root = sourceRoot(documents.map((document) => document.file));
+  const targets = new Map(
+    documents.map((document) => [
+      path.resolve(document.file),
+      {
+        // Outputs mirror the source tree, so links keep their relative paths
+        output: outputName(document.file, root, extension),
+        ids: new Set(extractHeadings(document.content, md).map((h) => h.id)),
+      },
+    ])
+  );
+
+  return {
+    resolve({ file, fragment }, sourceFile) {
+      const target = targets.get(file);
+      if (!target) return { error: missingTarget(file) };
+
+      const source = targets.get(path.resolve(sourceFile));
+      const base =
+        file === path.resolve(sourceFile)
+          ? ""
+          : path.posix.relative(
+              source ? path.posix.dirname(source.output) : ".",
+              target.output
+            );
+      const href = fragment ? `${base}#${encodeURIComponent(fragment)}` : base;
+      if (fragment && !target.ids.has(fragment)) {
+        return { href, error: `anchor #${fragment} not found` };
+      }
+      return { href };
+    },
+  };
+}
+
+// Resolve links between the chapters of one combined output
+function createCombinedLinks(chapters) {
+  return {
+    resolve({ file, fragment }) {
+      const chapter = chapters.get(file);
+      if (!chapter) return { error: missingTarget(file) };
+
+      // Links to a whole document land on its chapter heading
+      if (!fragment) return { href: `#${chapter.id}` };
+      if (!chapter.ids.has(fragment)) {
+        return {
+          href: `#${chapter.id}`,
+          error: `anchor #${fragment} not found`,
+        };
+      }
+      return { href: `#${chapter.ids.get(fragment)}` };
+    },
+  };
+}
+
+// Ids of the elements in rendered HTML
+function collectPageIds(html) {
+  return new Set(
+    [...html.matchAll(/\sid=(["'])(.*?)\1/g)].map((match) => match[2])
+  );
+}
+
+// Point links to other Markdown files at their rendered output
+function rewriteDocumentLinks(html, sourceFile, links, logger) {
+  const broken = [];
+  // Ids the page has besides headings, such as footnotes, are valid targets
+  const pageIds = collectPageIds(html);
+
+  const rewritten = html.replace(
+    /(<a\s[^>]*?href=)(["'])(.*?)\2/gi,
+    (match, prefix, quote, rawHref) => {
+      const href = rawHref.replace(/&amp;/g, "&");
+      const link = parseDocumentLink(href, sourceFile);
+      if (!link) return match;
+      if (
+        link.file === path.resolve(sourceFile) &&
+        pageIds.has(link.fragment)
+      ) {
+        return href.startsWith("#")
+          ? match
+          : `${prefix}${quote}#${encodeURIComponent(link.fragment)}${quote}`;
+      }
+
+      const resolved = links.resolve(link, sourceFile);
+      if (resolved.error) broken.push(`${href} (${resolved.error})`);
+      if (resolved.href === undefined) return match;
+
+      return `${prefix}${quote}${resolved.href.replace(/&/g, "&amp;")}${quote}`;
+    }
+  );
+
+  if (broken.length > 0) {
+    logger.warn(
+      `Warning: Broken links in ${sourceFile}:\n  ${broken.join("\n  ")}`
+    );
+  }
+
+  return rewritten;
+}
+
+module.exports = {
+  safeDecode,
+  collectPageIds,
+  parseDocumentLink,
+  createFileLinks,
+  createCombinedLinks,
+  rewriteDocumentLinks,
+};
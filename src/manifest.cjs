@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const { MANIFEST_FILE } = require("./constants.cjs");
+
+// Headings in a summary that name the file rather than start a part
+const SUMMARY_TITLES = /^(summary|table of contents|contents)$/i;
+
+// Read the Markdown file a summary link points at, if it is a local one
+function linkTarget(href) {
+  const target = href.trim().split("#")[0];
+  if (!target || /^[a-z][a-z0-9+.-]*:/i.test(target)) return null;
+  return decodeURI(target);
+}
+
+// Parse a SUMMARY.md: headings start parts, nested list links are chapters
+function parseSummary(source, manifestFile) {
+  const baseDir = path.dirname(manifestFile);
+  const entries = [];
+  const indents = [];
+  let part = null;
+
+  source.split(/\r?\n/).forEach((line, index) => {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const text = heading[1].trim();
+      if (!SUMMARY_TITLES.test(text)) part = text;
+      indents.length = 0;
+      return;
+    }
+
+    const item =
+      line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+\[([^\]]*)\]\(([^)]*)\)/) ||
+      line.match(/^()\[([^\]]*)\]\(([^)]*)\)\s*$/);
+    if (!item) return;
+
+    // Nesting follows indentation relative to the enclosing items
+    const indent = item[1].replace(/\t/g, "    ").length;
+    while (indents.length > 0 && indents[indents.length - 1] >= indent) {
+      indents.pop();
+    }
+    const depth = indents.length;
+    indents.push(indent);
+
+    // Draft chapters have an empty link and external links are not chapters
+    const target = linkTarget(item[3]);
+    if (!target || path.extname(target) !== ".md") return;
+
+    entries.push({
+      file: path.resolve(baseDir, target),
+      title: item[2].trim() || undefined,
+      part,
+      depth,
+      source: `${path.relative(process.cwd(), manifestFile)}:${index + 1}`,
+    });
+  });
+
+  return entries;
+}
+
+// Flatten a chapters list from the config into manifest entries
+function flattenChapters(chapters, part = null, depth = 0) {
+  return chapters.flatMap((chapter) => {
+    if (typeof chapter === "string") {
+      return [{ file: path.resolve(chapter), part, depth, source: "chapters" }];
+    }
+
+    // A part groups its chapters without being a document itself
+    if (chapter.file === undefined) {
+      return flattenChapters(chapter.chapters || [], chapter.part, 0);
+    }
+
+    return [
+      {
+        file: path.resolve(chapter.file),
+        title: chapter.title,
+        part,
+        depth,
+        source: "chapters",
+      },
+    ].concat(flattenChapters(chapter.chapters || [], part, depth + 1));
+  });
+}
+
+// Locate the manifest file to use, or null when there is none
+function findManifestFile({ manifest, chapters, inputs }) {
+  if (chapters || manifest === false) return null;
+  if (typeof manifest === "string") return path.resolve(manifest);
+
+  // Without an explicit path, look for a summary in the input directories
+  for (const input of inputs) {
+    const candidate = path.resolve(input, MANIFEST_FILE);
+    if (fs.statSync(input).isDirectory() && fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Load the chapter list from the config or a summary file
+function loadManifest(settings) {
+  if (settings.chapters) {
+    return { file: null, entries: flattenChapters(settings.chapters) };
+  }
+
+  const file = findManifestFile(settings);
+  if (!file) return null;
+  if (!fs.existsSync(file)) {
+    throw new Error(`Manifest not found: ${file}`);
+  }
+
+  return {
+    file,
+    entries: parseSummary(fs.readFileSync(file, "utf-8"), file),
+  };
+}
+
+// Order files as listed in the manifest and look up each file's chapter
+function applyManifest(files, manifest, logger) {
+  const chapters = new Map();
+
+  manifest.entries.forEach((entry) => {
+    if (!fs.existsSync(entry.file)) {
+      throw new Error(
+        `Chapter file not found: ${entry.file} (listed in ${entry.source})`
+      );
+    }
+    // A file listed twice keeps its first position
+    if (!chapters.has(entry.file)) chapters.set(entry.file, entry);
+  });
+
+  // A listed chapter the inputs or include/exclude globs leave out would
+  // otherwise disappear from the output without notice
+  const inputs = new Set(files.map((file) => path.resolve(file)));
+  chapters.forEach((entry, file) => {
+    if (!inputs.has(file)) {
+      logger.warn(
+        `Warning: ${entry.source}: [chapter] ${path.relative(
+          process.cwd(),
+          file
+        )}: not among the input files, left out`
+      );
+    }
+  });
+
+  const listed = files.filter((file) => chapters.has(path.resolve(file)));
+  const unlisted = files.filter(
+    (file) =>
+      !chapters.has(path.resolve(file)) && path.resolve(file) !== manifest.file
+  );
+  const ranks = [...chapters.keys()];
+  listed.sort(
+    (a, b) => ranks.indexOf(path.resolve(a)) - ranks.indexOf(path.resolve(b))
+  );
+
+  if (unlisted.length > 0) {
+    const name = manifest.file ? path.basename(manifest.file) : "chapters";
+    logger.warn(
+      `Warning: Not listed in ${name}, appended at the end: ${unlisted.join(
+        ", "
+      )}`
+    );
+  }
+
+  return { files: listed.concat(unlisted), chapters };
+}
+
+module.exports = {
+  parseSummary,
+  flattenChapters,
+  findManifestFile,
+  loadManifest,
+  applyManifest,
+};
@@ -0,0 +1,148 @@
+const markdownIt = require("markdown-it");
+const slugify = require("slugify");
+const { applySyntax } = require("./syntax.cjs");
+const { mathPlugin } = require("./math.cjs");
+const { codeBlocks } = require("./code.cjs");
+
+// Create a markdown-it instance with syntax highlighting, the enabled syntax
+// extensions and optionally math
+function createMarkdown({ syntax, math = false } = {}) {
+  const md = new markdownIt({
+    html: true,
+    linkify: true,
+    typographer: true,
+  });
+
+  // Code blocks first, so fence plugins like math and diagrams wrap them
+  md.use(codeBlocks);
+  applySyntax(md, syntax);
+  if (math) md.use(mathPlugin);
+
+  // Added last, so ids set with attribute syntax are already in place
+  md.core.ruler.push("toc_placeholder", tocPlaceholder);
+  md.core.ruler.push("heading_ids", headingIds);
+
+  return md;
+}
+
+// Placeholder left where [[toc]] is written, filled in when the page is built
+const TOC_MARKER = "<!-- toc -->";
+
+// Escaping for heading text outside of a markdown-it instance
+const { escapeHtml } = markdownIt().utils;
+
+// Reserve a slug for a heading, numbering repeats: intro, intro-1, intro-2
+function uniqueSlug(text, usedIds) {
+  const base =
+    slugify(text, { lower: true, strict: true, replacement: "-" }) || "section";
+  let id = base;
+  for (let n = 1; usedIds.has(id); n++) id = `${base}-${n}`;
+  usedIds.add(id);
+  return id;
+}
+
+// Plain text of a heading's inline tokens, without any markup
+function headingText(children) {
+  return children
+    .map((child) => {
+      if (child.type === "softbreak" || child.type === "hardbreak") return " ";
+      if (child.type === "html_inline") return "";
+      return child.content;
+    })
+    .join("")
+    .trim();
+}
+
+// Core rule: give each heading a unique id and collect it in env.headings.
+// Passing env.usedIds shares the ids across several documents.
+function headingIds(state) {
+  const usedIds = state.env.usedIds || new Set();
+  const headings = [];
+
+  state.tokens.forEach((token, index) => {
+    if (token.type !== "heading_open") return;
+
+    const text = headingText(state.tokens[index + 1].children);
+    // An id set by another plugin is kept, but still reserved
+    const existing = token.attrGet("id");
+    const id = existing || uniqueSlug(text, usedIds);
+    if (existing) usedIds.add(existing);
+
+    token.attrSet("id", id);
+    headings.push({ level: Number(token.tag.slice(1)), text, id });
+  });
+
+  state.env.headings = headings;
+}
+
+// Core rule: turn a paragraph holding only [[toc]] into a TOC placeholder
+function tocPlaceholder(state) {
+  const { tokens } = state;
+
+  for (let i = tokens.length - 3; i >= 0; i--) {
+    if (
+      tokens[i].type === "paragraph_open" &&
+      tokens[i + 1].type === "inline" &&
+      /^\[\[toc\]\]$/i.test(tokens[i + 1].content.trim()) &&
+      tokens[i + 2].type === "paragraph_close"
+    ) {
+      const placeholder = new state.Token("html_block", "", 0);
+      placeholder.content = `${TOC_MARKER}\n`;
+      placeholder.map = tokens[i].map;
+      tokens.splice(i, 3, placeholder);
+    }
+  }
+}
+
+// Collect the headings of Markdown content with the ids they render with
+function extractHeadings(content, md) {
+  const env = {};
+  md.parse(content, env);
+  return env.headings;
+}
+
+// Generate table of contents HTML, with page numbers when they are known.
+// Headings outside the minLevel..maxLevel range are left out.
+function generateTOC(
+  headings,
+  pageNumbers = null,
+  { minLevel = 1, maxLevel = 6 } = {}
+) {
+  const listClass = pageNumbers ? "toc toc-with-pages" : "toc";
+  let toc = `<div class="toc-container">\n<h2>Table of Contents</h2>\n<ul class="${listClass}">\n`;
+
+  headings
+    .filter(({ level }) => level >= minLevel && level <= maxLevel)
+    .forEach((heading) => {
+      // Levels are shifted so the shallowest included level is not indented
+      const level = heading.level - minLevel + 1;
+      const indent = "  ".repeat(level - 1);
+      const displayText = escapeHtml(heading.text);
+
+      if (pageNumbers) {
+        // Print-style entry: text, dotted leader, page number
+        const pageNumber = pageNumbers.get(heading.id) || "";
+        toc += `${indent}<li class="toc-level-${level}"><a href="#${heading.id}"><span class="toc-text">${displayText}</span><span class="toc-leader"></span><span class="toc-page">${pageNumber}</span></a></li>\n`;
+      } else {
+        toc += `${indent}<li class="toc-level-${level}"><a href="#${heading.id}">${displayText}</a></li>\n`;
+      }
+    });
+
+  toc += '</ul>\n</div>\n<div class="page-break"></div>\n';
+  return toc;
+}
+
+// Put the table of contents where [[toc]] was written, if it was
+function placeTOC(body, toc) {
+  if (!body.includes(TOC_MARKER)) return null;
+  // Only the first [[toc]] is filled in; further ones are dropped
+  return body.replace(TOC_MARKER, toc).split(TOC_MARKER).join("");
+}
+
+module.exports = {
+  createMarkdown,
+  uniqueSlug,
+  extractHeadings,
+  generateTOC,
+  placeTOC,
+};
@@ -0,0 +1,93 @@
+const katex = require("katex");
+const markdownItKatex = require("@vscode/markdown-it-katex").default;
+const { sourceLocation } = require("./includes.cjs");
+
+// Failed formulas are rendered by KaTeX as a span with the error as title
+const MATH_ERROR_REGEX = /class="katex-error"[^>]*?title="([^"]*)"/g;
+
+// Renderer rules that can typeset a formula; fence covers ```math blocks
+const MATH_RULES = [
+  "math_inline",
+  "math_inline_block",
+  "math_inline_bare_block",
+  "math_block",
+  "fence",
+];
+
+// Error messages of the formulas in rendered HTML that KaTeX could not typeset
+function mathErrorMessages(html) {
+  return [...html.matchAll(MATH_ERROR_REGEX)].map((match) =>
+    match[1]
+      .replace(/&quot;/g, '"')
+      .replace(/&#x27;/g, "'")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+  );
+}
+
+// markdown-it plugin: typeset $...$ and $$...$$ to static HTML with KaTeX.
+// Formulas that fail are kept in env.mathErrors with the line they are on,
+// for the caller to report.
+function mathPlugin(md) {
+  md.use(markdownItKatex, {
+    // The installed katex, matching the stylesheet and fonts we inline
+    katex,
+    throwOnError: false,
+    enableFencedBlocks: true,
+  });
+
+  // Inline formulas have no line of their own; count from their paragraph
+  md.core.ruler.push("math_lines", (state) => {
+    state.tokens.forEach((token) => {
+      if (token.type !== "inline" || !token.map) return;
+      let line = token.map[0] + 1;
+      token.children.forEach((child) => {
+        if (child.type === "softbreak" || child.type === "hardbreak") {
+          line++;
+        } else if (child.type.startsWith("math_")) {
+          child.meta = { ...child.meta, line };
+        }
+      });
+    });
+  });
+
+  MATH_RULES.forEach((rule) => {
+    const render = md.renderer.rules[rule];
+    if (!render) return;
+
+    md.renderer.rules[rule] = (tokens, idx, options, env, self) => {
+      const html = render(tokens, idx, options, env, self);
+      const token = tokens[idx];
+      const line = token.map
+        ? token.map[0] + 1
+        : (token.meta && token.meta.line) || 1;
+      mathErrorMessages(html).forEach((message) => {
+        env.mathErrors = (env.mathErrors || []).concat({ line, message });
+      });
+      return html;
+    };
+  });
+}
+
+// Check whether rendered HTML contains typeset math
+function containsMath(html) {
+  return html.includes('class="katex');
+}
+
+// Warn about formulas KaTeX could not typeset, at the file and line they
+// are written on
+function reportMathErrors(env, document, logger) {
+  (env.mathErrors || []).forEach(({ line, message }) => {
+    const location = sourceLocation(document, line);
+    logger.warn(
+      `Warning: Math failed to render at ${location.file}:${location.line}: ${message}`
+    );
+  });
+}
+
+module.exports = {
+  mathPlugin,
+  containsMath,
+  reportMathErrors,
+};
@@ -0,0 +1,87 @@
+const { PDFArray, PDFDict, PDFName, PDFNumber, PDFRef } = require("pdf-lib");
+
+// Turn a destination value into its page index and vertical position
+function resolveDestination(value, pageIndexes, context) {
+  let dest = value instanceof PDFRef ? context.lookup(value) : value;
+
+  // Destinations may be wrapped in a dictionary under /D
+  if (dest instanceof PDFDict) {
+    dest = dest.lookup(PDFName.of("D"));
+  }
+  if (!(dest instanceof PDFArray) || dest.size() === 0) return null;
+
+  const pageRef = dest.get(0);
+  const pageIndex = pageIndexes.get(pageRef.toString());
+  if (pageIndex === undefined) return null;
+
+  // [page /XYZ left top zoom] carries the position; other forms mean the top
+  const top = dest.size() > 3 ? dest.lookup(3) : null;
+  return {
+    pageIndex,
+    y: top instanceof PDFNumber ? top.asNumber() : Infinity,
+  };
+}
+
+// Walk a name tree, calling back with every key and value
+function walkNameTree(node, callback) {
+  const names = node.lookupMaybe(PDFName.of("Names"), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      callback(names.lookup(i).decodeText(), names.get(i + 1));
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of("Kids"), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      walkNameTree(kids.lookup(i, PDFDict), callback);
+    }
+  }
+}
+
+/**
+ * Read the named destinations Chrome writes for link targets, such as the
+ * headings the table of contents points at.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @returns {Map<string, {pageIndex: number, y: number}>} Position of each
+ *   destination; `y` is measured from the bottom of the page
+ */
+function readNamedDestinations(pdfDoc) {
+  const { catalog, context } = pdfDoc;
+  const pageIndexes = new Map(
+    pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+  );
+  const destinations = new Map();
+
+  const add = (name, value) => {
+    const resolved = resolveDestination(value, pageIndexes, context);
+    if (resolved) destinations.set(name, resolved);
+  };
+
+  // PDF 1.1 style: a dictionary in the catalog
+  const dests = catalog.lookupMaybe(PDFName.of("Dests"), PDFDict);
+  if (dests) {
+    dests.entries().forEach(([key, value]) => add(key.decodeText(), value));
+  }
+
+  // PDF 1.2 style: a name tree under /Names
+  const names = catalog.lookupMaybe(PDFName.of("Names"), PDFDict);
+  const destTree = names && names.lookupMaybe(PDFName.of("Dests"), PDFDict);
+  if (destTree) walkNameTree(destTree, add);
+
+  return destinations;
+}
+
+// Order headings by where they land in the PDF, dropping those not found
+function locateHeadings(headings, destinations) {
+  return headings
+    .filter((heading) => destinations.has(heading.id))
+    .map((heading) => ({ ...heading, ...destinations.get(heading.id) }))
+    .sort((a, b) => a.pageIndex - b.pageIndex || b.y - a.y);
+}
+
+module.exports = {
+  readNamedDestinations,
+  locateHeadings,
+};
@@ -0,0 +1,107 @@
+const { PDFHexString, PDFName } = require("pdf-lib");
+const {
+  readNamedDestinations,
+  locateHeadings,
+} = require("./pdf-destinations.cjs");
+
+// Nest located headings by level into a tree of outline items
+function buildOutlineTree(locatedHeadings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  locatedHeadings.forEach((heading) => {
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+
+    const item = { level: heading.level, heading, children: [] };
+    stack[stack.length - 1].children.push(item);
+    stack.push(item);
+  });
+
+  return root.children;
+}
+
+// Write sibling outline items and their children, returning the link refs
+function writeOutlineItems(pdfDoc, items, parentRef) {
+  const { context } = pdfDoc;
+  const pages = pdfDoc.getPages();
+  const refs = items.map(() => context.nextRef());
+  let count = items.length;
+
+  items.forEach((item, index) => {
+    const { heading } = item;
+    const top = Number.isFinite(heading.y) ? heading.y : null;
+    const dict = {
+      Title: PDFHexString.fromText(heading.text),
+      Parent: parentRef,
+      Dest: [pages[heading.pageIndex].ref, PDFName.of("XYZ"), null, top, null],
+    };
+
+    if (index > 0) dict.Prev = refs[index - 1];
+    if (index < items.length - 1) dict.Next = refs[index + 1];
+
+    if (item.children.length > 0) {
+      const children = writeOutlineItems(pdfDoc, item.children, refs[index]);
+      dict.First = children.first;
+      dict.Last = children.last;
+      // A positive count shows the item expanded
+      dict.Count = children.count;
+      count += children.count;
+    }
+
+    context.assign(refs[index], context.obj(dict));
+  });
+
+  return { first: refs[0], last: refs[refs.length - 1], count };
+}
+
+/**
+ * Add a bookmark outline mirroring the document headings, pointing at the
+ * named destinations Chrome wrote for them.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {Array<{level: number, text: string, id: string}>} headings
+ */
+function addOutline(pdfDoc, headings) {
+  const located = locateHeadings(headings, readNamedDestinations(pdfDoc));
+  if (located.length === 0) return;
+
+  const { context, catalog } = pdfDoc;
+  const outlinesRef = context.nextRef();
+  const items = writeOutlineItems(
+    pdfDoc,
+    buildOutlineTree(located),
+    outlinesRef
+  );
+
+  context.assign(
+    outlinesRef,
+    context.obj({
+      Type: "Outlines",
+      First: items.first,
+      Last: items.last,
+      Count: items.count,
+    })
+  );
+  catalog.set(PDFName.of("Outlines"), outlinesRef);
+  // Open the bookmarks sidebar by default
+  catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+}
+
+// Look up the page number each heading lands on
+function headingPageNumbers(pdfDoc, headings) {
+  const destinations = readNamedDestinations(pdfDoc);
+  const pageNumbers = new Map();
+
+  headings.forEach((heading) => {
+    const destination = destinations.get(heading.id);
+    if (destination) pageNumbers.set(heading.id, destination.pageIndex + 1);
+  });
+
+  return pageNumbers;
+}
+
+module.exports = {
+  buildOutlineTree,
+  addOutline,
+  headingPageNumbers,
+};
@@ -0,0 +1,298 @@
+const fs = require("fs");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const { PDFDocument } = require("pdf-lib");
+const { convertImagesToBase64 } = require("./images.cjs");
+const { renderPage, renderFile, renderCombined } = require("./document.cjs");
+const { generateTOC } = require("./markdown.cjs");
+const { CREATOR } = require("./cover.cjs");
+const { applyRemoteImagePolicy, blockNetwork } = require("./remote.cjs");
+const { addOutline, headingPageNumbers } = require("./pdf-outline.cjs");
+const { transformHtml } = require("./plugins.cjs");
+const { outputName } = require("./files.cjs");
+const {
+  renderDestinationAnchors,
+  addHeaderFooter,
+} = require("./header-footer.cjs");
+
+// Launch puppeteer with additional arguments for better image handling
+function launchBrowser() {
+  return puppeteer.launch({
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-web-security",
+    ],
+  });
+}
+
+// Set the PDF document properties from the document metadata
+function applyPdfMetadata(pdfDoc, meta) {
+  pdfDoc.setTitle(meta.title);
+  pdfDoc.setCreator(CREATOR);
+  if (meta.author) pdfDoc.setAuthor(meta.author);
+  if (meta.subject) pdfDoc.setSubject(meta.subject);
+  if (meta.keywords.length > 0) pdfDoc.setKeywords(meta.keywords);
+  if (meta.date) pdfDoc.setCreationDate(meta.date);
+}
+
+// Render the page to print, letting plugins transform it first
+function pageHtml(doc, context) {
+  return transformHtml(
+    renderPage(doc, context),
+    { files: doc.inputs, output: doc.output, format: "pdf" },
+    context.plugins
+  );
+}
+
+// Render passes allowed for the TOC page numbers to settle
+const MAX_TOC_PASSES = 3;
+
+// Load a page into the browser and print it to a PDF document
+async function renderPdf(page, doc, timeout, context) {
+  const { pageLayout } = context;
+
+  // Headings only get named destinations in the PDF when something links to them
+  const body = doc.body + renderDestinationAnchors(doc.headings || []);
+  const fullHtml = pageHtml({ ...doc, body }, context);
+
+  await page.setContent(fullHtml, { waitUntil: "load", timeout });
+
+  // Print as soon as web fonts and images are ready instead of waiting a
+  // fixed time; broken images count as complete
+  await page.waitForFunction(
+    () =>
+      document.fonts.status === "loaded" &&
+      Array.from(document.images).every((image) => image.complete),
+    { timeout }
+  );
+
+  // Generate PDF
+  const pdfBuffer = await page.pdf({
+    format: context.paper,
+    landscape: pageLayout.landscape,
+    printBackground: true,
+    margin: pageLayout.margin,
+  });
+
+  return PDFDocument.load(pdfBuffer);
+}
+
+// Check whether two heading page number maps agree
+function samePageNumbers(a, b) {
+  return a.size === b.size && [...a].every(([id, n]) => b.get(id) === n);
+}
+
+// Print a document to a PDF file, with TOC page numbers, outline and headers
+async function printPdf(page, doc, outputPath, timeout, context) {
+  const { pageLayout } = context;
+  const headings = doc.headings || [];
+  let pdfDoc = await renderPdf(page, doc, timeout, context);
+
+  // Page numbers are only known after printing, so the TOC needs another
+  // pass, and one more if adding them moved headings to other pages
+  if (context.tocPageNumbers && doc.toc && headings.length > 0) {
+    let pageNumbers = headingPageNumbers(pdfDoc, headings);
+    let settled = false;
+
+    for (let pass = 1; pass < MAX_TOC_PASSES && !settled; pass++) {
+      const toc = generateTOC(headings, pageNumbers, context.tocLevels);
+      pdfDoc = await renderPdf(page, { ...doc, toc }, timeout, context);
+
+      const actual = headingPageNumbers(pdfDoc, headings);
+      settled = samePageNumbers(actual, pageNumbers);
+      pageNumbers = actual;
+    }
+
+    if (!settled) {
+      context.logger.warn(
+        `Warning: TOC page numbers did not settle after ${MAX_TOC_PASSES} passes and may be wrong in ${path.relative(
+          process.cwd(),
+          outputPath
+        )}`
+      );
+    }
+  }
+
+  if (context.outline) {
+    addOutline(pdfDoc, headings);
+  }
+  if (pageLayout.header || pageLayout.footer) {
+    await addHeaderFooter(pdfDoc, page, doc, context);
+  }
+  applyPdfMetadata(pdfDoc, doc.pdf);
+
+  fs.writeFileSync(outputPath, await pdfDoc.save());
+}
+
+// Open a browser page set up for printing; getSource names the document
+// being printed, for attributing blocked requests
+async function openPage(browser, getSource, context) {
+  const page = await browser.newPage();
+
+  // Offline rendering never lets the browser reach the network
+  if (context.offline) {
+    await blockNetwork(page, getSource, context);
+  }
+
+  // Set viewport to ensure images are properly rendered
+  await page.setViewport({
+    width: 1200,
+    height: 1600,
+    deviceScaleFactor: 2, // Higher resolution for better image quality
+  });
+
+  return page;
+}
+
+// Run worker over items, one at a time per slot, so each slot's page prints
+// one document after another. After a failure no new items start, and the
+// error is thrown once the running ones finish.
+async function runPool(items, slots, worker) {
+  let next = 0;
+  let failure = null;
+
+  await Promise.all(
+    slots.map(async (slot) => {
+      while (next < items.length && !failure) {
+        const index = next++;
+        try {
+          await worker(items[index], index, slot);
+        } catch (err) {
+          failure = failure || err;
+        }
+      }
+    })
+  );
+
+  if (failure) throw failure;
+}
+
+// Convert Markdown to PDF
+async function convertToPdf(documents, singleOutput, outputDir, context) {
+  const { logger } = context;
+
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  // Reuse a browser kept alive by the caller, e.g. in watch mode
+  const browser = context.browser || (await launchBrowser());
+  const results = [];
+  // Pages printing in parallel, each with the source it is printing
+  const slots = [];
+
+  // Open one more page for the pool
+  const addSlot = async () => {
+    const slot = { source: null };
+    slots.push(slot);
+    slot.page = await openPage(browser, () => slot.source, context);
+    return slot;
+  };
+
+  try {
+    if (singleOutput) {
+      const slot = await addSlot();
+      // Convert rendered HTML with image tags to base64-embedded version,
+      // each chapter's images resolved against its own file
+      logger.log("Processing images for PDF embedding...");
+      const doc = renderCombined(documents, context, { embedImages: true });
+
+      const htmlWithBase64Images = applyRemoteImagePolicy(
+        doc.body,
+        null,
+        context
+      );
+
+      const outputPath = path.join(outputDir, "combined.pdf");
+      const inputs = documents.map((document) => document.file);
+      const pageDoc = {
+        ...doc,
+        body: htmlWithBase64Images,
+        inputs,
+        output: outputPath,
+      };
+
+      // Write intermediate HTML for debugging if needed
+      const debugHtmlPath = path.join(outputDir, "debug-combined.html");
+      fs.writeFileSync(debugHtmlPath, pageHtml(pageDoc, context));
+      logger.log(`Debug HTML written to ${debugHtmlPath}`);
+
+      // Increase timeout for larger documents
+      await printPdf(slot.page, pageDoc, outputPath, 60000, context);
+      results.push({ inputs, output: outputPath });
+
+      logger.log(`Combined PDF generated at ${outputPath}`);
+    } else {
+      const start = Date.now();
+      const lanes = Math.min(context.concurrency, documents.length);
+      await Promise.all(Array.from({ length: lanes }, addSlot));
+      let done = 0;
+
+      await runPool(documents, slots, async (document, index, slot) => {
+        const fileStart = Date.now();
+        const { file } = document;
+        const doc = renderFile(document, context);
+
+        // Convert images to base64 for PDF embedding
+        const htmlWithBase64Images = convertImagesToBase64(
+          file,
+          applyRemoteImagePolicy(doc.body, file, context),
+          context
+        );
+
+        // The output tree mirrors the source tree
+        const outputPath = path.join(
+          outputDir,
+          outputName(file, context.sourceRoot, ".pdf")
+        );
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        const pageDoc = {
+          ...doc,
+          body: htmlWithBase64Images,
+          inputs: [file],
+          output: outputPath,
+        };
+
+        slot.source = file;
+
+        // Write intermediate HTML for debugging if needed
+        fs.writeFileSync(
+          path.join(
+            path.dirname(outputPath),
+            `debug-${path.basename(file, ".md")}.html`
+          ),
+          pageHtml(pageDoc, context)
+        );
+
+        await printPdf(slot.page, pageDoc, outputPath, 30000, context);
+        // Results keep the document order, whichever page finishes first
+        results[index] = { inputs: [file], output: outputPath };
+
+        done++;
+        logger.log(
+          `[${done}/${documents.length}] PDF generated for ${path.basename(
+            file
+          )} in ${Date.now() - fileStart}ms`
+        );
+      });
+
+      logger.log(
+        `Printed ${documents.length} PDF${
+          documents.length === 1 ? "" : "s"
+        } in ${Date.now() - start}ms using ${lanes} page${
+          lanes === 1 ? "" : "s"
+        }`
+      );
+    }
+  } finally {
+    // Only close what this call opened
+    if (!context.browser) {
+      await browser.close();
+    } else {
+      await Promise.all(slots.map(({ page }) => page && page.close()));
+    }
+  }
+
+  return results;
+}
+
+module.exports = { launchBrowser, convertToPdf };
@@ -0,0 +1,136 @@
+const path = require("path");
+
+// Hooks a plugin may provide
+const PLUGIN_HOOKS = ["markdown", "transformSource", "transformHtml"];
+
+// Resolve a plugin module: paths against baseDir, package names from there
+function resolvePluginModule(request, baseDir) {
+  if (path.isAbsolute(request)) return request;
+  if (request.startsWith(".")) return path.resolve(baseDir, request);
+
+  try {
+    return require.resolve(request, { paths: [baseDir] });
+  } catch (err) {
+    // Reported when the plugin is loaded
+    return request;
+  }
+}
+
+// Turn one plugins entry into a plugin object with its hooks
+function loadPlugin(entry, index, baseDir) {
+  const label = `plugins[${index}]`;
+  let plugin = entry;
+  let name;
+
+  // A module name or path, optionally with options for a plugin factory
+  const request = typeof entry === "string" ? entry : entry && entry.module;
+  if (typeof request === "string") {
+    const file = resolvePluginModule(request, baseDir);
+    name = path.isAbsolute(request)
+      ? path.relative(process.cwd(), request)
+      : request;
+    try {
+      plugin = require(file);
+    } catch (err) {
+      // Node appends the require stack, which only shows our own files
+      throw new Error(
+        `Failed to load plugin ${name}: ${err.message.split("\n")[0]}`
+      );
+    }
+  }
+
+  if (typeof plugin === "function") {
+    plugin = plugin((entry && entry.options) || {});
+  }
+
+  if (!plugin || typeof plugin !== "object") {
+    throw new Error(`Invalid plugin ${name || label}: expected an object`);
+  }
+  const hooks = PLUGIN_HOOKS.filter((hook) => plugin[hook] !== undefined);
+  if (hooks.length === 0) {
+    throw new Error(
+      `Invalid plugin ${name || label}: it must provide one of ${PLUGIN_HOOKS.join(
+        ", "
+      )}`
+    );
+  }
+  hooks.forEach((hook) => {
+    if (typeof plugin[hook] !== "function") {
+      throw new Error(
+        `Invalid plugin ${name || label}: ${hook} must be a function`
+      );
+    }
+  });
+
+  return { ...plugin, name: plugin.name || name || label };
+}
+
+// Load the configured plugins, in order
+function loadPlugins(entries = [], baseDir = process.cwd()) {
+  return entries.map((entry, index) => loadPlugin(entry, index, baseDir));
+}
+
+// Run one hook, naming the plugin and file when it throws
+function runHook(plugin, hook, file, args) {
+  let result;
+  try {
+    result = plugin[hook](...args);
+  } catch (err) {
+    const where = file ? ` for ${file}` : "";
+    throw new Error(
+      `Plugin ${plugin.name} failed in ${hook}${where}: ${err.message}`
+    );
+  }
+
+  if (hook !== "markdown" && typeof result !== "string") {
+    throw new Error(`Plugin ${plugin.name}: ${hook} must return a string`);
+  }
+  return result;
+}
+
+// Let plugins register markdown-it plugins and rules on the shared instance
+function applyMarkdownPlugins(md, plugins) {
+  plugins
+    .filter((plugin) => plugin.markdown)
+    .forEach((plugin) => runHook(plugin, "markdown", null, [md]));
+
+  return md;
+}
+
+// Pass a document's Markdown through each plugin's source transform
+function transformSource(document, plugins) {
+  const { file, frontMatter } = document;
+
+  return plugins
+    .filter((plugin) => plugin.transformSource)
+    .reduce(
+      (content, plugin) =>
+        runHook(plugin, "transformSource", file, [
+          content,
+          { file, frontMatter },
+        ]),
+      document.content
+    );
+}
+
+// Pass a finished HTML page through each plugin's HTML transform
+function transformHtml(html, { files, output, format }, plugins) {
+  return plugins
+    .filter((plugin) => plugin.transformHtml)
+    .reduce(
+      (page, plugin) =>
+        runHook(plugin, "transformHtml", files.join(", "), [
+          page,
+          { files, output, format },
+        ]),
+      html
+    );
+}
+
+module.exports = {
+  resolvePluginModule,
+  loadPlugins,
+  applyMarkdownPlugins,
+  transformSource,
+  transformHtml,
+};
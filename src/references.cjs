@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const { resolveImagePath } = require("./images.cjs");
+const { isRemoteUrl } = require("./remote.cjs");
+const { parseFenceInfo, readInclude } = require("./code.cjs");
+const { sourceLocation } = require("./includes.cjs");
+const {
+  parseDocumentLink,
+  createFileLinks,
+  safeDecode,
+  collectPageIds,
+} = require("./links.cjs");
+
+// Attributes of raw HTML tags that reference other resources
+const HTML_REFERENCE_REGEX = /<(img|a)\s[^>]*?\b(src|href)=(["'])(.*?)\3/gi;
+
+// Collect the links and images of a document with the file and line they
+// are written on, which for included content is the included file
+function collectReferences(document, md) {
+  const references = [];
+  const lineOf = (token) => (token.map ? token.map[0] + 1 : 1);
+  const add = (kind, target, line) =>
+    references.push({ kind, target, ...sourceLocation(document, line) });
+
+  // Raw HTML can reference images and pages too
+  const addHtmlReferences = (html, line) => {
+    for (const match of html.matchAll(HTML_REFERENCE_REGEX)) {
+      add(
+        match[1].toLowerCase() === "img" ? "image" : "link",
+        match[4].replace(/&amp;/g, "&"),
+        line
+      );
+    }
+  };
+
+  md.parse(document.content, { file: document.file }).forEach((token) => {
+    let line = lineOf(token);
+
+    // Linkify also turns words like setup.md into links; only count URLs
+    const isWrittenLink = (child, index) =>
+      child.markup !== "linkify" ||
+      /^[a-z][a-z0-9+.-]*:\/\//i.test(token.children[index + 1].content);
+
+    if (token.type === "html_block") addHtmlReferences(token.content, line);
+    if (token.type === "fence") {
+      const { include } = parseFenceInfo(token.info);
+      if (include) add("include", include, line);
+    }
+    if (token.type !== "inline") return;
+
+    token.children.forEach((child, index) => {
+      // Line breaks inside a paragraph move on to the next source line
+      if (child.type === "softbreak" || child.type === "hardbreak") {
+        line++;
+      } else if (child.type === "image") {
+        add("image", child.attrGet("src"), line);
+      } else if (child.type === "link_open" && isWrittenLink(child, index)) {
+        add("link", child.attrGet("href"), line);
+      } else if (child.type === "html_inline") {
+        addHtmlReferences(child.content, line);
+      }
+    });
+  });
+
+  return references;
+}
+
+// Check a remote URL against the allowlist of URL prefixes and host names
+function isAllowedRemote(url, allowlist) {
+  const host = new URL(url, "https://invalid").hostname;
+
+  return allowlist.some((entry) =>
+    entry.includes("/")
+      ? url.startsWith(entry)
+      : host === entry || host.endsWith(`.${entry}`)
+  );
+}
+
+// Find the problem with one reference, or null when it is fine
+function checkReference(reference, document, links, options) {
+  const { kind, target } = reference;
+  if (!target || target.startsWith("data:") || target.startsWith("mailto:")) {
+    return null;
+  }
+
+  if (kind === "include") {
+    try {
+      readInclude(target, document.file);
+      return null;
+    } catch (err) {
+      return {
+        type: "include",
+        message: `Code include failed: ${err.message}`,
+      };
+    }
+  }
+
+  if (isRemoteUrl(target)) {
+    if (options.remoteAllowlist.length === 0) return null;
+    return isAllowedRemote(target, options.remoteAllowlist)
+      ? null
+      : { type: "remote", message: "Remote URL not in allowlist" };
+  }
+
+  if (kind === "image") {
+    const resolved = resolveImagePath(
+      document.file,
+      safeDecode(target),
+      options.imagePathConfig
+    );
+    return resolved && !fs.existsSync(resolved)
+      ? { type: "image", message: `Image not found: ${resolved}` }
+      : null;
+  }
+
+  // Links to Markdown files and in-page anchors go through the link resolver
+  const link = parseDocumentLink(target, document.file);
+  if (link) {
+    const { error } = links.resolve(link, document.file);
+    if (!error) return null;
+    const sameDocument = link.file === path.resolve(document.file);
+    // As when rendering, any id on the page is a valid in-page target
+    if (sameDocument && options.pageIds(document).has(link.fragment)) {
+      return null;
+    }
+    return {
+      type: sameDocument ? "anchor" : "link",
+      message: sameDocument
+        ? `Broken anchor (${error})`
+        : `Broken link (${error})`,
+    };
+  }
+
+  // Other relative links must point at an existing file
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith("/")) {
+    return null;
+  }
+  const file = path.resolve(
+    path.dirname(document.file),
+    safeDecode(target.split(/[?#]/)[0])
+  );
+  return fs.existsSync(file)
+    ? null
+    : { type: "link", message: "Broken link (file not found)" };
+}
+
+// Validate the references of documents; links may point at any of allDocuments
+function checkDocuments(
+  documents,
+  { md, imagePathConfig, remoteAllowlist = [] },
+  allDocuments = documents
+) {
+  // Ids of each rendered page, rendered only when an in-page anchor needs them
+  const renderedIds = new Map();
+  const pageIds = (document) => {
+    if (!renderedIds.has(document)) {
+      renderedIds.set(
+        document,
+        collectPageIds(md.render(document.content, { file: document.file }))
+      );
+    }
+    return renderedIds.get(document);
+  };
+  const options = { imagePathConfig, remoteAllowlist, pageIds };
+  const links = createFileLinks(allDocuments, ".html", md);
+  const problems = [];
+  let references = 0;
+
+  documents.forEach((document) => {
+    collectReferences(document, md).forEach((reference) => {
+      references++;
+      const problem = checkReference(reference, document, links, options);
+      if (problem) {
+        problems.push({
+          file: reference.file,
+          line: reference.line,
+          target: reference.target,
+          ...problem,
+        });
+      }
+    });
+  });
+
+  return {
+    ok: problems.length === 0,
+    documents: documents.length,
+    references,
+    problems,
+  };
+}
+
+// Render a check report as text, one problem per line
+function formatReport(report) {
+  const lines = report.problems.map(
+    ({ file, line, type, target, message }) =>
+      `${file}:${line}: [${type}] ${target}: ${message}`
+  );
+  const files = new Set(report.problems.map(({ file }) => file)).size;
+
+  lines.push(
+    report.ok
+      ? `No problems found in ${report.documents} documents (${report.references} references checked)`
+      : `${report.problems.length} problem${
+          report.problems.length === 1 ? "" : "s"
+        } in ${files} file${files === 1 ? "" : "s"} (${report.documents} documents checked)`
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  collectReferences,
+  checkDocuments,
+  formatReport,
+};
@@ -0,0 +1,156 @@
+const path = require("path");
+
+// Give up on a remote image download after this long
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+// Check whether a reference points at a remote resource
+function isRemoteUrl(url) {
+  return /^(https?:)?\/\//i.test(url);
+}
+
+// Collect the remote images a Markdown document references, including raw HTML
+function extractRemoteImageUrls(content) {
+  const urls = [];
+  const patterns = [
+    /!\[.*?\]\((.*?)(?:\s+".*?")?\)/g,
+    /<img[^>]+src=["']([^"']+)["']/gi,
+  ];
+
+  patterns.forEach((regex) => {
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      const url = match[1].trim().replace(/^<(.*)>$/, "$1");
+      if (isRemoteUrl(url)) urls.push(url);
+    }
+  });
+
+  return urls;
+}
+
+// Record a remote resource that a build touched
+function recordRemote(context, url, source, action, detail) {
+  context.remote.entries.push({ url, source, action, detail });
+}
+
+// Download one image and turn it into a data URI
+async function downloadImage(url) {
+  const absoluteUrl = url.startsWith("//") ? `https:${url}` : url;
+  const response = await fetch(absoluteUrl, {
+    signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!contentType.startsWith("image/")) {
+    throw new Error(`not an image (${contentType || "unknown type"})`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return `data:${contentType.split(";")[0]};base64,${buffer.toString(
+    "base64"
+  )}`;
+}
+
+// Download the remote images of all documents and the cover logo before
+// rendering, if embedding
+async function prefetchRemoteImages(documents, context) {
+  if (context.remoteImages !== "embed") return;
+
+  const { cache } = context.remote;
+  const urls = new Set();
+  documents.forEach((document) => {
+    extractRemoteImageUrls(document.content).forEach((url) => urls.add(url));
+  });
+  if (context.cover && context.cover.logo && isRemoteUrl(context.cover.logo)) {
+    urls.add(context.cover.logo);
+  }
+
+  for (const url of urls) {
+    if (cache.has(url)) continue;
+
+    let entry;
+    try {
+      entry = { dataUri: await downloadImage(url) };
+    } catch (err) {
+      entry = { error: err.message };
+    }
+    // Markdown images reach the HTML with their URL normalized, e.g. with
+    // spaces percent-encoded, so the entry is found under either form
+    cache.set(url, entry);
+    cache.set(context.md.normalizeLink(url), entry);
+  }
+}
+
+// Keep, embed or reject the remote images in rendered HTML
+function applyRemoteImagePolicy(html, source, context) {
+  const { remoteImages, logger } = context;
+  const imgRegex = /<img[^>]+src="([^"]+)"[^>]*>/g;
+
+  return html.replace(imgRegex, (imgTag, src) => {
+    if (!isRemoteUrl(src)) return imgTag;
+
+    if (remoteImages === "reject") {
+      recordRemote(context, src, source, "rejected");
+      const alt = (imgTag.match(/alt="([^"]*)"/) || [])[1] || src;
+      return `<span class="remote-image-rejected">[image: ${alt}]</span>`;
+    }
+
+    if (remoteImages === "embed") {
+      // The cache is keyed by the URL as written, not HTML-escaped
+      const cached = context.remote.cache.get(src.replace(/&amp;/g, "&"));
+      if (cached && cached.dataUri) {
+        recordRemote(context, src, source, "embedded");
+        return imgTag.replace(`src="${src}"`, `src="${cached.dataUri}"`);
+      }
+
+      const reason = cached ? cached.error : "not downloaded";
+      logger.warn(`Warning: Could not embed remote image ${src}: ${reason}`);
+      recordRemote(context, src, source, "failed", reason);
+      return imgTag;
+    }
+
+    recordRemote(context, src, source, "kept");
+    return imgTag;
+  });
+}
+
+// Block every browser request that would leave the machine
+async function blockNetwork(page, getSource, context) {
+  await page.setRequestInterception(true);
+
+  page.on("request", (request) => {
+    const url = request.url();
+    if (/^(data|about|blob):/i.test(url)) {
+      request.continue();
+      return;
+    }
+
+    recordRemote(context, url, getSource(), "blocked");
+    request.abort("blockedbyclient");
+  });
+}
+
+// Print which remote resources the build touched and what happened to them
+function reportRemoteResources(context) {
+  const { entries } = context.remote;
+  if (entries.length === 0) return;
+
+  context.logger.log(`Remote resources (${entries.length}):`);
+  entries.forEach(({ url, source, action, detail }) => {
+    const where = source ? ` in ${path.basename(source)}` : "";
+    const why = detail ? ` (${detail})` : "";
+    context.logger.log(`  ${action.padEnd(8)} ${url}${where}${why}`);
+  });
+}
+
+module.exports = {
+  isRemoteUrl,
+  extractRemoteImageUrls,
+  prefetchRemoteImages,
+  applyRemoteImagePolicy,
+  blockNetwork,
+  reportRemoteResources,
+};
@@ -0,0 +1,195 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { watch } = require("./watch.cjs");
+
+// Endpoint the injected client script listens on for reload events
+const RELOAD_PATH = "/__reload";
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+};
+
+// Reloads the page whenever the server reports a finished rebuild
+const RELOAD_SCRIPT = `
+<script>
+  new EventSource("${RELOAD_PATH}").addEventListener("reload", function () {
+    location.reload();
+  });
+</script>
+`;
+
+// Add the live-reload client to an HTML page without touching the file on disk
+function injectReloadScript(html) {
+  const index = html.lastIndexOf("</body>");
+  return index === -1
+    ? html + RELOAD_SCRIPT
+    : html.slice(0, index) + RELOAD_SCRIPT + html.slice(index);
+}
+
+// List the generated pages when the output has no index.html
+function renderListing(outputDir) {
+  const pages = fs
+    .readdirSync(outputDir)
+    .filter((file) => path.extname(file) === ".html")
+    .sort();
+  const items = pages
+    .map((page) => `<li><a href="${encodeURI(page)}">${page}</a></li>`)
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><title>Preview</title></head>
+<body>
+<h1>Preview</h1>
+<ul>
+${items}
+</ul>
+</body>
+</html>`;
+}
+
+// Serve a file from the output directory, injecting the reload script into pages
+function serveFile(outputDir, request, response) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(
+      new URL(request.url, "http://localhost").pathname
+    );
+  } catch (err) {
+    response.writeHead(400);
+    response.end("Bad request");
+    return;
+  }
+  let filePath = path.join(outputDir, path.normalize(urlPath));
+
+  // Never serve anything outside the output directory
+  if (path.relative(outputDir, filePath).startsWith("..")) {
+    response.writeHead(403);
+    response.end("Forbidden");
+    return;
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, "index.html");
+
+    if (!fs.existsSync(filePath) && urlPath === "/") {
+      response.writeHead(200, { "Content-Type": MIME_TYPES[".html"] });
+      response.end(injectReloadScript(renderListing(outputDir)));
+      return;
+    }
+  }
+
+  if (!fs.existsSync(filePath)) {
+    response.writeHead(404);
+    response.end("Not found");
+    return;
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  const headers = {
+    "Content-Type": MIME_TYPES[ext] || "application/octet-stream",
+    "Cache-Control": "no-store",
+  };
+
+  if (ext === ".html") {
+    response.writeHead(200, headers);
+    response.end(injectReloadScript(fs.readFileSync(filePath, "utf-8")));
+  } else {
+    response.writeHead(200, headers);
+    fs.createReadStream(filePath).pipe(response);
+  }
+}
+
+/**
+ * Build HTML output, serve it over HTTP and reload open pages whenever a
+ * source file changes. Takes the same options as convert(), plus:
+ *
+ * @param {object} options
+ * @param {number} [options.port=3000] Port to listen on
+ * @param {string} [options.host="127.0.0.1"] Interface to bind to
+ * @returns {Promise<{url: string, close: Function}>} Resolves once the server
+ *   is listening; `close()` stops the server and the watcher
+ */
+async function serve(options) {
+  const { port = 3000, host = "127.0.0.1", logger = console } = options;
+  const outputDir = path.resolve(options.output || "output");
+  const clients = new Set();
+
+  // The preview is always HTML, whatever format the config asks for; a
+  // site is previewed as a site
+  const format = options.format === "html-site" ? "html-site" : "html";
+  if (options.format && options.format !== format) {
+    logger.log(`Serving HTML output instead of ${options.format}`);
+  }
+
+  const watcher = await watch({
+    ...options,
+    format,
+    onRebuild: (rebuild) => {
+      if (!rebuild.error) {
+        clients.forEach((client) => client.write("event: reload\ndata: \n\n"));
+      }
+      if (options.onRebuild) options.onRebuild(rebuild);
+    },
+  });
+
+  const server = http.createServer((request, response) => {
+    if (request.url === RELOAD_PATH) {
+      response.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-store",
+        Connection: "keep-alive",
+      });
+      response.write(": connected\n\n");
+      clients.add(response);
+      request.on("close", () => clients.delete(response));
+      return;
+    }
+
+    // A failing request must never take the server down with it
+    try {
+      serveFile(outputDir, request, response);
+    } catch (err) {
+      logger.warn(`Error serving ${request.url}: ${err.message}`);
+      if (!response.headersSent) response.writeHead(500);
+      response.end("Internal server error");
+    }
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (err) {
+    await watcher.close();
+    throw new Error(
+      `Could not start server on ${host}:${port}: ${err.message}`
+    );
+  }
+
+  const url = `http://${host}:${server.address().port}/`;
+  logger.log(`Serving ${outputDir} at ${url}`);
+
+  return {
+    url,
+    close: async () => {
+      clients.forEach((client) => client.end());
+      await new Promise((resolve) => server.close(resolve));
+      await watcher.close();
+    },
+  };
+}
+
+module.exports = { serve };
@@ -0,0 +1,379 @@
+const fs = require("fs");
+const path = require("path");
+const { copyImages, processHtmlImagesForHtml } = require("./images.cjs");
+const {
+  renderByline,
+  renderFile,
+  renderIndex,
+  chapterTitle,
+} = require("./document.cjs");
+const { placeTOC } = require("./markdown.cjs");
+const { generateCSS } = require("./styles.cjs");
+const { containsMath } = require("./math.cjs");
+const { coverPdfMetadata } = require("./cover.cjs");
+const { applyRemoteImagePolicy } = require("./remote.cjs");
+const { transformHtml } = require("./plugins.cjs");
+const { outputName } = require("./files.cjs");
+
+// Stylesheet and search script shipped with every site
+const SITE_ASSETS_DIR = path.join(__dirname, "site");
+
+// Where the assets are written, relative to the output directory
+const ASSETS_PATH = "assets";
+
+// Title shown in the site header: the cover title when one is configured
+function siteTitle(context) {
+  return context.cover
+    ? coverPdfMetadata(context.cover).title
+    : "Documentation";
+}
+
+// Build the navigation tree of a site. With a manifest, parts and nested
+// chapters give the structure; otherwise the folders of the sources do.
+// Returns the root node and the node of each document by source file.
+function buildNav(documents, root) {
+  const tree = { title: null, output: null, children: [], parent: null };
+  const nodes = new Map();
+  const addNode = (parent, node) => {
+    const child = { children: [], ...node, parent };
+    parent.children.push(child);
+    return child;
+  };
+  const documentNode = (parent, document) => {
+    const node = addNode(parent, {
+      title: chapterTitle(document),
+      output: outputName(document.file, root, ".html"),
+    });
+    nodes.set(path.resolve(document.file), node);
+    return node;
+  };
+
+  if (documents.some((document) => document.chapter)) {
+    let part = null;
+    let partNode = tree;
+    // Last chapter seen at each depth, so deeper ones nest under it
+    let stack = [];
+
+    documents.forEach((document) => {
+      const chapter = document.chapter || {};
+      if ((chapter.part || null) !== part) {
+        part = chapter.part || null;
+        partNode = part ? addNode(tree, { title: part, output: null }) : tree;
+        stack = [];
+      }
+
+      const depth = Math.min(chapter.depth || 0, stack.length);
+      const parent = depth === 0 ? partNode : stack[depth - 1];
+      stack = stack.slice(0, depth);
+      stack.push(documentNode(parent, document));
+    });
+
+    return { tree, nodes };
+  }
+
+  // One folder node per directory, in the order documents first reach it
+  const folders = new Map([["", tree]]);
+  documents.forEach((document) => {
+    const dir = path.posix.dirname(outputName(document.file, root, ".html"));
+    let parent = tree;
+    let key = "";
+
+    if (dir !== ".") {
+      dir.split("/").forEach((segment) => {
+        key = key ? `${key}/${segment}` : segment;
+        if (!folders.has(key)) {
+          folders.set(key, addNode(parent, { title: segment, output: null }));
+        }
+        parent = folders.get(key);
+      });
+    }
+    documentNode(parent, document);
+  });
+
+  return { tree, nodes };
+}
+
+// Link from one page of the site to another output, both relative to the
+// output directory
+function relativeHref(from, to) {
+  return encodeURI(path.posix.relative(path.posix.dirname(from), to));
+}
+
+// Render the sidebar navigation, marking the current page
+function renderNav(node, current, escapeHtml) {
+  const items = node.children
+    .map((child) => {
+      const label = child.output
+        ? `<a href="${escapeHtml(relativeHref(current.output, child.output))}"${
+            child === current ? ' class="active" aria-current="page"' : ""
+          }>${escapeHtml(child.title)}</a>`
+        : `<span class="nav-label">${escapeHtml(child.title)}</span>`;
+      const nested =
+        child.children.length > 0 ? renderNav(child, current, escapeHtml) : "";
+      const classes = child.output ? "nav-page" : "nav-section";
+
+      return `<li class="${classes}">${label}${nested}</li>`;
+    })
+    .join("\n");
+
+  return `<ul>\n${items}\n</ul>`;
+}
+
+// Render the path from the top of the site down to the current page
+function renderBreadcrumb(current, escapeHtml) {
+  const trail = [];
+  for (let node = current.parent; node.parent; node = node.parent) {
+    trail.unshift(
+      node.output
+        ? `<a href="${escapeHtml(
+            relativeHref(current.output, node.output)
+          )}">${escapeHtml(node.title)}</a>`
+        : `<span>${escapeHtml(node.title)}</span>`
+    );
+  }
+  trail.push(`<span aria-current="page">${escapeHtml(current.title)}</span>`);
+
+  return `<nav class="breadcrumb" aria-label="Breadcrumb">${trail.join(
+    '<span class="breadcrumb-separator">/</span>'
+  )}</nav>`;
+}
+
+// Render the links to the previous and next pages in document order
+function renderPager(previous, next, current, escapeHtml) {
+  const link = (node, rel, label) =>
+    node
+      ? `<a class="page-nav-${rel}" rel="${rel}" href="${escapeHtml(
+          relativeHref(current.output, node.output)
+        )}"><span class="page-nav-label">${label}</span>${escapeHtml(
+          node.title
+        )}</a>`
+      : "<span></span>";
+
+  return `<nav class="page-nav">${link(previous, "prev", "Previous")}${link(
+    next,
+    "next",
+    "Next"
+  )}</nav>`;
+}
+
+// Wrap a rendered document in the site layout: header with search, sidebar,
+// breadcrumb, content with previous/next links and the page's TOC
+function renderSitePage(doc, { tree, node, previous, next }, context) {
+  const { escapeHtml } = context.md.utils;
+  // Prefix leading from this page back to the top of the output directory
+  const root = "../".repeat(node.output.split("/").length - 1);
+  const title = escapeHtml(siteTitle(context));
+  const bodyWithToc = placeTOC(doc.body, doc.toc);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${doc.title} - ${title}</title>
+  <link rel="stylesheet" href="${root}${ASSETS_PATH}/site.css">
+  ${generateCSS({ ...context.styling, math: containsMath(doc.body) })}
+</head>
+<body class="site" data-site-root="${root}">
+  <header class="site-header">
+    <a class="site-title" href="${root}index.html">${title}</a>
+    <div class="site-search">
+      <input type="search" id="site-search-input" placeholder="Search" aria-label="Search" autocomplete="off">
+      <ol id="site-search-results" class="site-search-results" hidden></ol>
+    </div>
+  </header>
+  <div class="site-layout">
+    <nav class="site-nav" aria-label="Pages">
+      ${renderNav(tree, node, escapeHtml)}
+    </nav>
+    <main class="site-main">
+      ${renderBreadcrumb(node, escapeHtml)}
+      <h1>${doc.heading}</h1>
+      ${renderByline(doc)}
+      ${bodyWithToc === null ? doc.body : bodyWithToc}
+      ${renderPager(previous, next, node, escapeHtml)}
+    </main>
+    <aside class="site-toc">
+      ${bodyWithToc === null ? doc.toc : ""}
+    </aside>
+  </div>
+  <script src="${root}${ASSETS_PATH}/search-index.js"></script>
+  <script src="${root}${ASSETS_PATH}/site.js"></script>
+</body>
+</html>
+`;
+}
+
+// Render documents into pages of a static site; navigation covers all of
+// allDocuments, which can be more than the documents being rebuilt
+function convertToSite(documents, allDocuments, outputDir, context) {
+  const { tree, nodes } = buildNav(allDocuments, context.sourceRoot);
+  const order = allDocuments.map((document) =>
+    nodes.get(path.resolve(document.file))
+  );
+  const results = [];
+
+  documents.forEach((document) => {
+    const { file } = document;
+    const node = nodes.get(path.resolve(file));
+    const position = order.indexOf(node);
+    const doc = renderFile(document, context);
+    const outputPath = path.join(outputDir, node.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    // Copy images next to the page that shows them
+    const newImagePaths = copyImages(
+      file,
+      doc.imagePaths,
+      path.dirname(outputPath),
+      context
+    );
+    const body = processHtmlImagesForHtml(
+      applyRemoteImagePolicy(doc.body, file, context),
+      doc.imagePaths,
+      newImagePaths
+    );
+
+    const html = transformHtml(
+      renderSitePage(
+        { ...doc, body },
+        {
+          tree,
+          node,
+          previous: order[position - 1],
+          next: order[position + 1],
+        },
+        context
+      ),
+      { files: [file], output: outputPath, format: "html-site" },
+      context.plugins
+    );
+    fs.writeFileSync(outputPath, html);
+    results.push({ inputs: [file], output: outputPath });
+  });
+
+  return results;
+}
+
+// Plain text of inline tokens, for the search index
+function inlineText(token) {
+  return (token.children || [])
+    .map((child) => {
+      if (child.type === "softbreak" || child.type === "hardbreak") return " ";
+      return child.type === "text" || child.type === "code_inline"
+        ? child.content
+        : "";
+    })
+    .join("");
+}
+
+// Split a document into searchable sections, one per heading, each with the
+// anchor it starts at and its plain text
+function documentSections(document, context) {
+  const page = chapterTitle(document);
+  const output = outputName(document.file, context.sourceRoot, ".html");
+  const tokens = context.md.parse(document.content, { file: document.file });
+  const sections = [{ page, title: page, url: output, text: [] }];
+
+  tokens.forEach((token, index) => {
+    if (token.type === "heading_open") {
+      sections.push({
+        page,
+        title: inlineText(tokens[index + 1]),
+        url: `${output}#${encodeURIComponent(token.attrGet("id"))}`,
+        text: [],
+      });
+    } else if (
+      token.type === "inline" &&
+      tokens[index - 1].type !== "heading_open"
+    ) {
+      sections[sections.length - 1].text.push(inlineText(token));
+    } else if (token.type === "fence" || token.type === "code_block") {
+      sections[sections.length - 1].text.push(token.content);
+    }
+  });
+
+  return (
+    sections
+      .map((section) => ({
+        ...section,
+        text: section.text.join(" ").replace(/\s+/g, " ").trim(),
+      }))
+      // A page's top only counts with text before its first heading
+      .filter((section, index) => section.text || index > 0)
+  );
+}
+
+// Serialize the search index as a script, since pages opened from file://
+// cannot fetch JSON
+function searchIndexScript(sections) {
+  const json = JSON.stringify(sections)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+  return `window.SITE_SEARCH_INDEX = ${json};\n`;
+}
+
+// Write what every page of the site shares: the stylesheet, the search
+// script and index, and an index.html unless a document is rendered to it.
+// Returns the index page written, if any.
+function writeSiteFiles(documents, outputDir, context) {
+  const assetsDir = path.join(outputDir, ASSETS_PATH);
+  fs.mkdirSync(assetsDir, { recursive: true });
+  ["site.css", "site.js"].forEach((file) =>
+    fs.copyFileSync(
+      path.join(SITE_ASSETS_DIR, file),
+      path.join(assetsDir, file)
+    )
+  );
+
+  const sections = documents.flatMap((document) =>
+    documentSections(document, context)
+  );
+  fs.writeFileSync(
+    path.join(assetsDir, "search-index.js"),
+    searchIndexScript(sections)
+  );
+
+  const { tree, nodes } = buildNav(documents, context.sourceRoot);
+  const entries = documents.map((document) => ({
+    document,
+    output: nodes.get(path.resolve(document.file)).output,
+  }));
+  if (entries.some(({ output }) => output === "index.html")) return null;
+
+  // The index is a page of the site without a place in the navigation
+  const node = {
+    title: siteTitle(context),
+    output: "index.html",
+    children: [],
+    parent: tree,
+  };
+  const title = context.md.utils.escapeHtml(node.title);
+  const outputPath = path.join(outputDir, "index.html");
+  const html = transformHtml(
+    renderSitePage(
+      { ...renderIndex(entries, context), title, heading: title },
+      {
+        tree,
+        node,
+        previous: null,
+        next: nodes.get(path.resolve(documents[0].file)),
+      },
+      context
+    ),
+    {
+      files: documents.map((document) => document.file),
+      output: outputPath,
+      format: "html-site",
+    },
+    context.plugins
+  );
+  fs.writeFileSync(outputPath, html);
+  return outputPath;
+}
+
+module.exports = {
+  convertToSite,
+  writeSiteFiles,
+};
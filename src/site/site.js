@@ -0,0 +1,123 @@
+// Client-side search for html-site output. The index is loaded from
+// search-index.js, so it works from file:// as well as from a static host.
+(function () {
+  var input = document.getElementById("site-search-input");
+  var list = document.getElementById("site-search-results");
+  if (!input || !list) return;
+
+  var root = document.body.getAttribute("data-site-root") || "";
+  var MAX_RESULTS = 20;
+  var SNIPPET_LENGTH = 120;
+
+  // Sections with their lowercased text, matched against the query terms
+  var sections = (window.SITE_SEARCH_INDEX || []).map(function (section) {
+    return {
+      section: section,
+      title: section.title.toLowerCase(),
+      text: section.text.toLowerCase(),
+    };
+  });
+
+  // Sections containing every term, best first: matches in the section
+  // title count more than matches in its text
+  function search(query) {
+    var terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    var results = [];
+    sections.forEach(function (entry) {
+      var score = 0;
+      for (var i = 0; i < terms.length; i++) {
+        var inTitle = entry.title.indexOf(terms[i]) !== -1;
+        var inText = entry.text.indexOf(terms[i]) !== -1;
+        if (!inTitle && !inText) return;
+        score += (inTitle ? 10 : 0) + (inText ? 1 : 0);
+      }
+      results.push({ entry: entry, score: score });
+    });
+
+    return results
+      .sort(function (a, b) {
+        return b.score - a.score;
+      })
+      .slice(0, MAX_RESULTS);
+  }
+
+  // Text around the first match of a term
+  function snippet(entry, terms) {
+    var text = entry.section.text;
+    var at = -1;
+    for (var i = 0; i < terms.length && at === -1; i++) {
+      at = entry.text.indexOf(terms[i]);
+    }
+    var start = Math.max(0, at - SNIPPET_LENGTH / 3);
+    var result = text.slice(start, start + SNIPPET_LENGTH);
+    if (start > 0) result = "…" + result;
+    if (start + SNIPPET_LENGTH < text.length) result += "…";
+    return result;
+  }
+
+  function element(tag, className, text) {
+    var node = document.createElement(tag);
+    node.className = className;
+    node.textContent = text;
+    return node;
+  }
+
+  function render(query) {
+    list.textContent = "";
+    if (!query.trim()) {
+      list.hidden = true;
+      return;
+    }
+
+    var terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    var results = search(query);
+    if (results.length === 0) {
+      list.appendChild(element("li", "search-no-results", "No results"));
+    }
+
+    results.forEach(function (result) {
+      var section = result.entry.section;
+      var link = document.createElement("a");
+      link.href = root + section.url;
+      link.appendChild(element("span", "search-result-title", section.title));
+      if (section.title !== section.page) {
+        link.appendChild(element("span", "search-result-page", section.page));
+      }
+      if (section.text) {
+        link.appendChild(
+          element("span", "search-result-snippet", snippet(result.entry, terms))
+        );
+      }
+
+      var item = document.createElement("li");
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    list.hidden = false;
+  }
+
+  input.addEventListener("input", function () {
+    render(input.value);
+  });
+
+  // Enter opens the first result, Escape closes the list
+  input.addEventListener("keydown", function (event) {
+    if (event.key === "Escape") {
+      input.value = "";
+      render("");
+    } else if (event.key === "Enter") {
+      var first = list.querySelector("a");
+      if (first) window.location.href = first.href;
+    }
+  });
+
+  document.addEventListener("click", function (event) {
+    if (!event.target.closest(".site-search")) list.hidden = true;
+  });
+
+  input.addEventListener("focus", function () {
+    if (input.value.trim()) render(input.value);
+  });
+})();
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+
+const THEMES_DIR = path.join(__dirname, "themes");
+
+// highlight.js theme used when a theme does not name its own
+const DEFAULT_HIGHLIGHT_THEME = "github";
+const THEME_HIGHLIGHT_THEMES = {
+  dark: "github-dark",
+};
+
+// MIME types for files referenced from stylesheets; other images fall back
+// to image/<extension>, so only those whose type differs from it are listed
+const ASSET_MIME_TYPES = {
+  ".css": "text/css",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".eot": "application/vnd.ms-fontobject",
+  ".svg": "image/svg+xml",
+  ".jpg": "image/jpeg",
+};
+
+// Map style options to the CSS properties they override on the body
+const STYLE_PROPERTIES = {
+  fontFamily: "font-family",
+  fontSize: "font-size",
+  lineHeight: "line-height",
+  maxWidth: "max-width",
+};
+
+// Read a built-in theme; every theme is layered on top of the default one
+function readTheme(theme) {
+  const read = (name) =>
+    fs.readFileSync(path.join(THEMES_DIR, `${name}.css`), "utf-8");
+
+  return theme === "default"
+    ? [read("default")]
+    : [read("default"), read(theme)];
+}
+
+// Read a highlight.js theme from the installed package
+function readHighlightTheme(name) {
+  let file;
+  try {
+    file = require.resolve(`highlight.js/styles/${name}.css`);
+  } catch (err) {
+    throw new Error(`Unknown highlight.js theme: ${name}`);
+  }
+  return fs.readFileSync(file, "utf-8");
+}
+
+// Inline local url() references such as fonts, so the CSS needs no files
+function inlineCssUrls(css, cssFile) {
+  const urlRegex = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+  return css.replace(urlRegex, (match, quote, url) => {
+    // Remote, embedded and fragment-only references are left untouched
+    if (/^([a-z]+:|\/\/|#)/i.test(url)) return match;
+
+    const assetPath = path.resolve(path.dirname(cssFile), url.split(/[?#]/)[0]);
+    if (!fs.existsSync(assetPath)) return match;
+
+    const ext = path.extname(assetPath).toLowerCase();
+    const mimeType = ASSET_MIME_TYPES[ext] || `image/${ext.substring(1)}`;
+    const data = fs.readFileSync(assetPath).toString("base64");
+    return `url("data:${mimeType};base64,${data}")`;
+  });
+}
+
+// KaTeX stylesheet with its fonts inlined, read once as it is large
+let mathCss = null;
+function readMathCss() {
+  if (mathCss === null) {
+    const file = require.resolve("katex/dist/katex.min.css");
+    // Chrome reads woff2, so the woff and ttf fallbacks are not embedded
+    const css = fs
+      .readFileSync(file, "utf-8")
+      .replace(/,url\([^)]*\) format\("(woff|truetype)"\)/g, "");
+    mathCss = inlineCssUrls(css, file);
+  }
+  return mathCss;
+}
+
+// Turn style options into a body rule overriding the theme
+function styleOverrides(style) {
+  const declarations = Object.keys(STYLE_PROPERTIES)
+    .filter((key) => style[key] !== undefined)
+    .map((key) => `  ${STYLE_PROPERTIES[key]}: ${style[key]};`);
+
+  return declarations.length > 0 ? `body {\n${declarations.join("\n")}\n}` : "";
+}
+
+// Generate CSS for styling
+function generateCSS({
+  theme = "default",
+  highlightTheme,
+  style = {},
+  css = [],
+  math = false,
+} = {}) {
+  const layers = [
+    ...readTheme(theme),
+    readHighlightTheme(
+      highlightTheme || THEME_HIGHLIGHT_THEMES[theme] || DEFAULT_HIGHLIGHT_THEME
+    ),
+    // Only pages with formulas carry the KaTeX fonts
+    math && readMathCss(),
+    styleOverrides(style),
+    // User stylesheets come last so they win over everything else
+    ...css.map((file) => {
+      if (!fs.existsSync(file)) {
+        throw new Error(`Stylesheet not found: ${file}`);
+      }
+      return inlineCssUrls(fs.readFileSync(file, "utf-8"), file);
+    }),
+  ];
+
+  return layers
+    .filter(Boolean)
+    .map((layer) => `<style>\n${layer}\n</style>`)
+    .join("\n");
+}
+
+module.exports = { inlineCssUrls, generateCSS };
@@ -0,0 +1,142 @@
+const footnote = require("markdown-it-footnote");
+const deflist = require("markdown-it-deflist");
+const abbr = require("markdown-it-abbr");
+const attrs = require("markdown-it-attrs");
+const container = require("markdown-it-container");
+const taskLists = require("markdown-it-task-lists");
+
+// Admonition kinds, as in GitHub alerts, with their default titles
+const ADMONITION_TITLES = {
+  note: "Note",
+  tip: "Tip",
+  important: "Important",
+  warning: "Warning",
+  caution: "Caution",
+};
+
+// Opening tag and title of an admonition block
+function admonitionOpen(type, title, escapeHtml) {
+  return `<div class="admonition admonition-${type}">\n<p class="admonition-title">${escapeHtml(
+    title || ADMONITION_TITLES[type]
+  )}</p>\n`;
+}
+
+// Core rule: turn blockquotes starting with [!NOTE] and the like into
+// admonitions
+function githubAlerts(state) {
+  const { tokens } = state;
+
+  tokens.forEach((token, index) => {
+    if (token.type !== "blockquote_open") return;
+
+    const inline = tokens[index + 2];
+    if (
+      !inline ||
+      inline.type !== "inline" ||
+      tokens[index + 1].type !== "paragraph_open"
+    ) {
+      return;
+    }
+    const marker = inline.content.match(/^\[!(\w+)\][ \t]*(?:\n|$)/);
+    const type = marker && marker[1].toLowerCase();
+    if (!ADMONITION_TITLES[type]) return;
+
+    // The matching close is the next one at the same nesting level
+    let depth = 0;
+    const close = tokens.findIndex((t, i) => {
+      if (i <= index) return false;
+      if (t.type === "blockquote_open") depth++;
+      if (t.type === "blockquote_close") depth--;
+      return depth < 0;
+    });
+
+    // Drop the marker and the line break after it from the first paragraph
+    inline.content = inline.content.slice(marker[0].length);
+    inline.children.splice(
+      0,
+      inline.children[1] && inline.children[1].type === "softbreak" ? 2 : 1
+    );
+    if (inline.content === "") {
+      tokens[index + 1].hidden = true;
+      tokens[index + 3].hidden = true;
+    }
+
+    token.type = "admonition_open";
+    token.info = type;
+    tokens[close].type = "admonition_close";
+  });
+}
+
+// markdown-it plugin: > [!NOTE] alerts and :::warning containers
+function admonitions(md) {
+  // After text_join, so the [!NOTE] marker is a single text token
+  md.core.ruler.after("text_join", "github_alerts", githubAlerts);
+  md.renderer.rules.admonition_open = (tokens, index) =>
+    admonitionOpen(tokens[index].info, null, md.utils.escapeHtml);
+  md.renderer.rules.admonition_close = () => "</div>\n";
+
+  md.use(container, "admonition", {
+    validate: (params) =>
+      Boolean(ADMONITION_TITLES[params.trim().split(/\s+/)[0].toLowerCase()]),
+    render(tokens, index) {
+      const token = tokens[index];
+      if (token.nesting !== 1) return "</div>\n";
+
+      const [, type, title] = token.info.trim().match(/^(\w+)\s*(.*)$/);
+      return admonitionOpen(type.toLowerCase(), title, md.utils.escapeHtml);
+    },
+  });
+}
+
+// Optional syntax extensions, each applied when its option is on
+const SYNTAX_PLUGINS = {
+  admonitions: (md) => md.use(admonitions),
+  footnotes: (md) => md.use(footnote),
+  taskLists: (md) => md.use(taskLists),
+  definitionLists: (md) => md.use(deflist),
+  abbreviations: (md) => md.use(abbr),
+  // Off by default: a trailing {word} would be taken as an attribute
+  attributes: (md) =>
+    md.use(attrs, { allowedAttributes: ["id", "class", /^data-/] }),
+};
+
+// Extensions enabled unless switched off
+const DEFAULT_SYNTAX = {
+  admonitions: true,
+  footnotes: true,
+  taskLists: true,
+  definitionLists: true,
+  abbreviations: true,
+  attributes: false,
+};
+
+// Add the enabled syntax extensions to a markdown-it instance
+function applySyntax(md, syntax = {}) {
+  const enabled = { ...DEFAULT_SYNTAX, ...syntax };
+
+  Object.keys(SYNTAX_PLUGINS).forEach((name) => {
+    if (enabled[name]) SYNTAX_PLUGINS[name](md);
+  });
+
+  return md;
+}
+
+// Parse a comma-separated list like "attributes,no-footnotes" into switches
+function parseSyntaxList(value) {
+  if (!value) return {};
+
+  return value
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .reduce((syntax, name) => {
+      const off = name.startsWith("no-");
+      return { ...syntax, [off ? name.slice(3) : name]: !off };
+    }, {});
+}
+
+module.exports = {
+  DEFAULT_SYNTAX,
+  applySyntax,
+  parseSyntaxList,
+};
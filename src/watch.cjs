@@ -0,0 +1,258 @@
+const fs = require("fs");
+const path = require("path");
+const { extractImagePaths, resolveImagePath } = require("./images.cjs");
+const { launchBrowser } = require("./pdf.cjs");
+const { findManifestFile } = require("./manifest.cjs");
+const { collectCodeIncludes } = require("./code.cjs");
+const { safeDecode } = require("./links.cjs");
+const {
+  normalizeOptions,
+  resolveDocuments,
+  createContext,
+  build,
+} = require("./convert.cjs");
+
+// Wait this long after the last file event before rebuilding
+const DEBOUNCE_MS = 100;
+
+// Check whether a path lies inside a directory
+function isInside(file, dir) {
+  const relative = path.relative(dir, file);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+// Map each local image or included file a document references to the
+// documents using it
+function indexDependencies(documents, { md, imagePathConfig }) {
+  const dependencies = new Map();
+  const add = (file, document) => {
+    if (!dependencies.has(file)) dependencies.set(file, new Set());
+    dependencies.get(file).add(path.resolve(document.file));
+  };
+
+  documents.forEach((document) => {
+    extractImagePaths(document.content).forEach((imagePath) => {
+      const resolved = resolveImagePath(
+        document.file,
+        safeDecode(imagePath),
+        imagePathConfig
+      );
+      if (resolved) add(resolved, document);
+    });
+    collectCodeIncludes(document, md).forEach(({ file }) =>
+      add(file, document)
+    );
+    (document.includes || []).forEach((file) => add(file, document));
+  });
+
+  return dependencies;
+}
+
+// Format the time of day for rebuild summaries
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+/**
+ * Build once, then rebuild the affected outputs whenever a Markdown file, a
+ * referenced image or an included file changes. Takes the same options as
+ * convert(), plus:
+ *
+ * @param {object} options
+ * @param {Function} [options.onRebuild] Called after every rebuild with
+ *   `{ changed, results, duration, error }`
+ * @returns {Promise<{close: Function}>} Resolves after the initial build;
+ *   `close()` stops watching and shuts down the browser
+ */
+async function watch(options) {
+  const settings = normalizeOptions(options);
+  const { logger, onRebuild = () => {} } = settings;
+  const outputDir = path.resolve(settings.output);
+  const context = createContext(settings);
+
+  // Rebuilds only report warnings; the summary line covers the rest
+  const quietLogger = {
+    log() {},
+    warn: (...args) => logger.warn(...args),
+  };
+
+  if (settings.format === "pdf") {
+    context.browser = await launchBrowser();
+  }
+
+  let documents = resolveDocuments(settings);
+  try {
+    await build(documents, settings, context);
+  } catch (err) {
+    if (context.browser) await context.browser.close();
+    throw err;
+  }
+  context.logger = quietLogger;
+
+  let dependencies = indexDependencies(documents, context);
+  const watchers = new Map();
+  const pending = new Set();
+  let timer = null;
+  let queue = Promise.resolve();
+
+  // Directories to watch: inputs recursively, folders of images and
+  // included files on their own
+  function watchTargets() {
+    const targets = new Map();
+
+    settings.inputs.forEach((input) => {
+      const resolved = path.resolve(input);
+      // A deleted input is reported by the rebuild; its folder is watched
+      // for it to come back
+      if (!fs.existsSync(resolved)) {
+        const dir = path.dirname(resolved);
+        if (!targets.has(dir) && fs.existsSync(dir)) targets.set(dir, false);
+        return;
+      }
+      if (fs.statSync(resolved).isDirectory()) {
+        targets.set(resolved, true);
+      } else {
+        targets.set(path.dirname(resolved), false);
+      }
+    });
+
+    const recursiveDirs = [...targets.keys()].filter((dir) => targets.get(dir));
+    dependencies.forEach((_, dependency) => {
+      const dir = path.dirname(dependency);
+      if (!recursiveDirs.some((root) => isInside(dir, root))) {
+        if (!targets.has(dir) && fs.existsSync(dir)) targets.set(dir, false);
+      }
+    });
+
+    return targets;
+  }
+
+  // Start watchers for new targets and stop the ones no longer needed
+  function updateWatchers() {
+    const targets = watchTargets();
+
+    watchers.forEach((watcher, key) => {
+      if (!targets.has(key)) {
+        watcher.close();
+        watchers.delete(key);
+      }
+    });
+
+    targets.forEach((recursive, dir) => {
+      if (watchers.has(dir)) return;
+
+      const watcher = fs.watch(dir, { recursive }, (eventType, filename) => {
+        if (filename) schedule(path.join(dir, filename.toString()));
+      });
+      watcher.on("error", (err) => {
+        logger.warn(`Warning: Stopped watching ${dir}: ${err.message}`);
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    });
+  }
+
+  // Collect file events and rebuild once they settle
+  function schedule(file) {
+    // Writing outputs must not trigger another rebuild
+    if (isInside(file, outputDir)) return;
+
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = [...pending];
+      pending.clear();
+      // A failed rebuild must not keep later ones from running
+      queue = queue
+        .then(() => rebuild(changed))
+        .catch((err) => {
+          logger.warn(`[${timestamp()}] Rebuild failed: ${err.message}`);
+        });
+    }, DEBOUNCE_MS);
+  }
+
+  // Rebuild the outputs affected by a batch of changed files
+  async function rebuild(changed) {
+    const start = Date.now();
+    const changedSet = new Set(changed);
+    const previous = new Set(documents.map((doc) => path.resolve(doc.file)));
+
+    try {
+      // Re-scan so added, removed and newly drafted files are picked up
+      const nextDocuments = resolveDocuments(settings, quietLogger);
+      const nextFiles = new Set(
+        nextDocuments.map((doc) => path.resolve(doc.file))
+      );
+      const nextDependencies = indexDependencies(nextDocuments, context);
+
+      // Editing the manifest can retitle or reorder any document
+      const manifestFile = findManifestFile(settings);
+      const manifestChanged = changedSet.has(manifestFile);
+      const affected = nextDocuments.filter((doc) => {
+        const file = path.resolve(doc.file);
+        return manifestChanged || changedSet.has(file) || !previous.has(file);
+      });
+      changed.forEach((file) => {
+        (nextDependencies.get(file) || []).forEach((docFile) => {
+          const doc = nextDocuments.find(
+            (d) => path.resolve(d.file) === docFile
+          );
+          if (!affected.includes(doc)) affected.push(doc);
+        });
+      });
+      const removed = [...previous].filter((file) => !nextFiles.has(file));
+
+      if (affected.length === 0 && removed.length === 0) return;
+
+      documents = nextDocuments;
+      dependencies = nextDependencies;
+      updateWatchers();
+
+      // A combined output depends on every document, and so does the
+      // navigation of site pages; the build cache skips unchanged pages.
+      // A build without targets still removes the outputs of deleted
+      // sources and rewrites the index.
+      const targets =
+        settings.single || settings.format === "html-site"
+          ? documents
+          : affected;
+      const results = await build(targets, settings, context, documents);
+      const duration = Date.now() - start;
+      const names = changed
+        .filter(
+          (file) =>
+            nextFiles.has(file) ||
+            nextDependencies.has(file) ||
+            file === manifestFile
+        )
+        .map((file) => path.basename(file))
+        .concat(removed.map((file) => `${path.basename(file)} removed`));
+
+      logger.log(
+        `[${timestamp()}] Rebuilt ${results.length} output${
+          results.length === 1 ? "" : "s"
+        } in ${duration}ms (${[...new Set(names)].join(", ")})`
+      );
+      onRebuild({ changed, results, duration, error: null });
+    } catch (err) {
+      const duration = Date.now() - start;
+      logger.warn(`[${timestamp()}] Rebuild failed: ${err.message}`);
+      onRebuild({ changed, results: [], duration, error: err });
+    }
+  }
+
+  updateWatchers();
+  logger.log(`Watching for changes in ${settings.inputs.join(", ")}`);
+
+  return {
+    close: async () => {
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+      watchers.clear();
+      await queue;
+      if (context.browser) await context.browser.close();
+    },
+  };
+}
+
+module.exports = { watch };
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createBuildCache } = require("../src/cache.cjs");
+const {
+  createMarkdown,
+  makeTree,
+  removeTree,
+  makeDocument,
+} = require("./helpers.cjs");
+
+const context = {
+  md: createMarkdown(),
+  imagePathConfig: { enableRemapping: false, pathMappings: [] },
+};
+
+// Render documents the way build() does: plan, write what is pending,
+// then record it. Returns the names of the rendered sources.
+function build(settings, documents) {
+  const cache = createBuildCache(settings, context, documents);
+  const removed = cache.removeStale();
+  const { pending, cached } = cache.plan(documents);
+
+  const results = (settings.single ? [documents] : pending.map((d) => [d]))
+    .filter((group) => group.length > 0)
+    .map((group) => {
+      const name = settings.single
+        ? "book.html"
+        : `${path.basename(group[0].file, ".md")}.html`;
+      const output = path.join(settings.output, name);
+      fs.mkdirSync(settings.output, { recursive: true });
+      fs.writeFileSync(output, "<html></html>");
+      return { inputs: group.map((d) => d.file), output };
+    });
+  cache.update(results);
+  cache.save();
+
+  return {
+    rendered: settings.single
+      ? cached.length === 0
+      : pending.map((d) => path.basename(d.file)),
+    removed: removed.map((file) => path.basename(file)),
+  };
+}
+
+test("unchanged documents are served from the cache", (t) => {
+  const root = makeTree({ "logo.png": "v1" });
+  t.after(() => removeTree(root));
+  const settings = { output: path.join(root, "out"), format: "html" };
+  const a = makeDocument(path.join(root, "a.md"), "# A\n\n![Logo](logo.png)\n");
+  const b = makeDocument(path.join(root, "b.md"), "# B\n");
+
+  assert.deepEqual(build(settings, [a, b]).rendered, ["a.md", "b.md"]);
+  assert.deepEqual(build(settings, [a, b]).rendered, []);
+
+  // Edited content and a changed image only rebuild their own document
+  const edited = { ...b, content: "# B\n\nMore\n" };
+  assert.deepEqual(build(settings, [a, edited]).rendered, ["b.md"]);
+  fs.writeFileSync(path.join(root, "logo.png"), "v2");
+  assert.deepEqual(build(settings, [a, edited]).rendered, ["a.md"]);
+
+  // So does a deleted output
+  fs.rmSync(path.join(root, "out", "b.html"));
+  assert.deepEqual(build(settings, [a, edited]).rendered, ["b.md"]);
+});
+
+test("changed settings and document lists rebuild everything", (t) => {
+  const root = makeTree({});
+  t.after(() => removeTree(root));
+  const settings = { output: path.join(root, "out"), format: "html" };
+  const a = makeDocument(path.join(root, "a.md"), "# A\n");
+  const b = makeDocument(path.join(root, "b.md"), "# B\n");
+
+  build(settings, [a]);
+  assert.deepEqual(build(settings, [a, b]).rendered, ["a.md", "b.md"]);
+  assert.deepEqual(build({ ...settings, theme: "dark" }, [a, b]).rendered, [
+    "a.md",
+    "b.md",
+  ]);
+});
+
+test("outputs of documents left out of the build are removed", (t) => {
+  const root = makeTree({});
+  t.after(() => removeTree(root));
+  const settings = { output: path.join(root, "out"), format: "html" };
+  const a = makeDocument(path.join(root, "a.md"), "# A\n");
+  const b = makeDocument(path.join(root, "b.md"), "# B\n");
+
+  build(settings, [a, b]);
+  assert.deepEqual(build(settings, [a]).removed, ["b.html"]);
+  assert.ok(!fs.existsSync(path.join(root, "out", "b.html")));
+  assert.ok(fs.existsSync(path.join(root, "out", "a.html")));
+});
+
+test("a moved output leaves nothing at its old path", (t) => {
+  const root = makeTree({});
+  t.after(() => removeTree(root));
+  const settings = { output: path.join(root, "out"), format: "html" };
+  const file = path.join(root, "a.md");
+  const cache = createBuildCache(settings, context, [makeDocument(file, "")]);
+  const old = path.join(settings.output, "old", "a.html");
+  fs.mkdirSync(path.dirname(old), { recursive: true });
+  fs.writeFileSync(old, "");
+
+  cache.update([{ inputs: [file], output: old }]);
+  cache.update([
+    { inputs: [file], output: path.join(settings.output, "a.html") },
+  ]);
+  assert.ok(!fs.existsSync(old));
+});
+
+test("site pages rebuild when another page's title or part changes", (t) => {
+  const root = makeTree({});
+  t.after(() => removeTree(root));
+  const settings = { output: path.join(root, "out"), format: "html-site" };
+  const a = makeDocument(path.join(root, "a.md"), "# A\n");
+  const b = makeDocument(path.join(root, "b.md"), "# B\n", {
+    chapter: { part: "One", depth: 0 },
+  });
+
+  build(settings, [a, b]);
+  const moved = { ...b, chapter: { part: "Two", depth: 0 } };
+  assert.deepEqual(build(settings, [a, moved]).rendered, ["a.md", "b.md"]);
+  const retitled = { ...moved, frontMatter: { title: "Renamed" } };
+  assert.deepEqual(build(settings, [a, retitled]).rendered, ["a.md", "b.md"]);
+});
+
+test("combined outputs are cached as a whole", (t) => {
+  const root = makeTree({});
+  t.after(() => removeTree(root));
+  const settings = {
+    output: path.join(root, "out"),
+    format: "html",
+    single: true,
+  };
+  const a = makeDocument(path.join(root, "a.md"), "# A\n");
+  const b = makeDocument(path.join(root, "b.md"), "# B\n");
+
+  assert.equal(build(settings, [a, b]).rendered, true);
+  assert.equal(build(settings, [a, b]).rendered, false);
+  assert.equal(
+    build(settings, [a, { ...b, content: "# B2\n" }]).rendered,
+    true
+  );
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  loadConfig,
+  normalizeConfig,
+  mergeOptions,
+} = require("../src/config.cjs");
+const { makeTree, removeTree } = require("./helpers.cjs");
+
+// The message normalizeConfig throws for a config object
+function configError(config) {
+  try {
+    normalizeConfig(config, "/project", "md2pdf.config.json");
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+test("valid configs normalize without errors", () => {
+  const normalized = normalizeConfig(
+    {
+      format: "pdf",
+      chapters: ["intro.md", { part: "Guide", chapters: ["setup.md"] }],
+    },
+    "/project",
+    "md2pdf.config.json"
+  );
+
+  assert.equal(normalized.chapters[0], path.resolve("/project/intro.md"));
+  assert.equal(
+    normalized.chapters[1].chapters[0],
+    path.resolve("/project/setup.md")
+  );
+});
+
+test("config errors name the file and every offending key", () => {
+  assert.equal(
+    configError({ format: "word", pape: "A4", margin: 3 }),
+    [
+      "Invalid configuration in md2pdf.config.json:",
+      '  "format" must be one of: html, pdf, html-site, html-standalone, epub, docx',
+      '  "pape" is not a known option',
+      '  "margin" must be of type string',
+    ].join("\n")
+  );
+});
+
+test("config errors point into nested entries", () => {
+  assert.equal(
+    configError({ chapters: ["a.md", { title: "No file" }] }),
+    'Invalid configuration in md2pdf.config.json:\n  "chapters[1]" must have either a file or a part'
+  );
+  assert.match(
+    configError({ remap: [{ from: "(", to: "x", regex: true }] }),
+    /"remap\[0\]\.from" is not a valid regex: /
+  );
+  assert.equal(
+    configError([]),
+    "Invalid configuration in md2pdf.config.json:\n  The configuration must be of type object"
+  );
+});
+
+test("loadConfig finds the config file and resolves paths against it", async (t) => {
+  const root = makeTree({
+    "md2pdf.config.json": JSON.stringify({ output: "out", theme: "dark" }),
+  });
+  t.after(() => removeTree(root));
+
+  const { config, filepath } = await loadConfig({ cwd: root });
+  assert.equal(filepath, path.join(root, "md2pdf.config.json"));
+  assert.equal(config.theme, "dark");
+  assert.equal(config.output, path.join(root, "out"));
+});
+
+test("mergeOptions lets later layers win and skips undefined values", () => {
+  assert.deepEqual(
+    mergeOptions(
+      { format: "html", paper: "A4", style: { fontSize: "12px" } },
+      { format: "pdf", paper: undefined }
+    ),
+    { format: "pdf", paper: "A4", style: { fontSize: "12px" } }
+  );
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  naturalCompare,
+  collectMarkdownFiles,
+  applyOrder,
+  sourceRoot,
+  outputName,
+} = require("../src/files.cjs");
+const { makeTree, removeTree } = require("./helpers.cjs");
+
+test("naturalCompare orders numbers by value", () => {
+  const names = ["10-end.md", "2-middle.md", "1-start.md"];
+  assert.deepEqual(names.sort(naturalCompare), [
+    "1-start.md",
+    "2-middle.md",
+    "10-end.md",
+  ]);
+});
+
+test("naturalCompare is a total order for names differing only in case", () => {
+  assert.ok(naturalCompare("a.md", "A.md") !== 0);
+  assert.equal(
+    Math.sign(naturalCompare("a.md", "A.md")),
+    -Math.sign(naturalCompare("A.md", "a.md"))
+  );
+});
+
+test("collectMarkdownFiles walks folders in natural order and applies globs", (t) => {
+  const root = makeTree({
+    "docs/10-later.md": "",
+    "docs/9-earlier.md": "",
+    "docs/notes.txt": "",
+    "docs/drafts/2-draft.md": "",
+  });
+  t.after(() => removeTree(root));
+
+  const docs = path.join(root, "docs");
+  assert.deepEqual(
+    collectMarkdownFiles([docs]).map((file) => path.relative(docs, file)),
+    ["9-earlier.md", "10-later.md", path.join("drafts", "2-draft.md")]
+  );
+  assert.deepEqual(
+    collectMarkdownFiles([docs], { exclude: ["**/drafts/**"] }).map((file) =>
+      path.basename(file)
+    ),
+    ["9-earlier.md", "10-later.md"]
+  );
+});
+
+test("applyOrder puts listed files first and keeps the rest in place", () => {
+  const files = ["a.md", "b.md", "c.md", "d.md"];
+  assert.deepEqual(applyOrder(files, ["c.md", "a.md"]), [
+    "c.md",
+    "a.md",
+    "b.md",
+    "d.md",
+  ]);
+  assert.deepEqual(applyOrder(files, []), files);
+});
+
+test("sourceRoot is the deepest folder holding every file", () => {
+  assert.equal(
+    sourceRoot(["/docs/guide/a.md", "/docs/guide/deep/b.md", "/docs/c.md"]),
+    path.resolve("/docs")
+  );
+  assert.equal(sourceRoot(["/docs/a.md"]), path.resolve("/docs"));
+});
+
+test("outputName mirrors the source tree below the root", () => {
+  assert.equal(
+    outputName("/docs/guide/setup.md", "/docs", ".html"),
+    "guide/setup.html"
+  );
+  assert.equal(outputName("/docs/intro.md", "/docs", ".pdf"), "intro.pdf");
+});
@@ -0,0 +1,42 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMarkdown } = require("../src/markdown.cjs");
+
+// Write files into a fresh temporary directory, returning its path. Keys
+// are paths relative to the directory, values the file contents.
+function makeTree(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "md2pdf-test-"));
+  Object.entries(files).forEach(([name, content]) => {
+    const file = path.join(root, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  });
+  return root;
+}
+
+// Delete a directory made by makeTree
+function removeTree(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
+
+// A document as resolveDocuments() builds it, without reading a file
+function makeDocument(file, content, extra = {}) {
+  return { file, content, frontMatter: {}, lineOffset: 0, ...extra };
+}
+
+// Logger that keeps what it is given, for asserting on warnings
+function recordingLogger() {
+  const logger = { logs: [], warnings: [] };
+  logger.log = (message) => logger.logs.push(message);
+  logger.warn = (message) => logger.warnings.push(message);
+  return logger;
+}
+
+module.exports = {
+  createMarkdown,
+  makeTree,
+  removeTree,
+  makeDocument,
+  recordingLogger,
+};
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { expandIncludes, sourceLocation } = require("../src/includes.cjs");
+const { makeTree, removeTree, makeDocument } = require("./helpers.cjs");
+
+// Paths as expandIncludes shows them in messages
+function shown(file) {
+  return path.relative(process.cwd(), file);
+}
+
+test("includes are expanded, indented and rebased", (t) => {
+  const root = makeTree({
+    "parts/steps.md":
+      "1. Read [the intro](../intro.md)\n2. ![Logo](logo.png)\n",
+  });
+  t.after(() => removeTree(root));
+  const file = path.join(root, "guide.md");
+  const document = makeDocument(
+    file,
+    "# Guide\n\n- Steps:\n  <!-- include: parts/steps.md -->\n\n```\n<!-- include: parts/steps.md -->\n```"
+  );
+
+  const expanded = expandIncludes(document);
+  assert.equal(
+    expanded.content,
+    [
+      "# Guide",
+      "",
+      "- Steps:",
+      "  1. Read [the intro](intro.md)",
+      "  2. ![Logo](parts/logo.png)",
+      "",
+      "```",
+      "<!-- include: parts/steps.md -->",
+      "```",
+    ].join("\n")
+  );
+  assert.deepEqual(expanded.includes, [path.join(root, "parts/steps.md")]);
+
+  const expandedDocument = { ...document, ...expanded };
+  assert.deepEqual(sourceLocation(expandedDocument, 5), {
+    file: shown(path.join(root, "parts/steps.md")),
+    line: 2,
+  });
+  assert.deepEqual(sourceLocation(expandedDocument, 6), { file, line: 5 });
+});
+
+test("front matter of included files keeps line numbers right", (t) => {
+  const root = makeTree({ "part.md": "---\ntitle: Part\n---\nBody\n" });
+  t.after(() => removeTree(root));
+  const document = makeDocument(
+    path.join(root, "main.md"),
+    "<!-- include: part.md -->"
+  );
+
+  const { content, lineMap } = expandIncludes(document);
+  assert.equal(content, "Body");
+  assert.deepEqual(lineMap, [
+    { file: shown(path.join(root, "part.md")), line: 4 },
+  ]);
+});
+
+test("missing includes name the chain of directives", (t) => {
+  const root = makeTree({ "a.md": "Text\n<!-- include: gone.md -->\n" });
+  t.after(() => removeTree(root));
+  const main = path.join(root, "main.md");
+
+  assert.throws(
+    () => expandIncludes(makeDocument(main, "<!-- include: a.md -->")),
+    {
+      message: [
+        "Included file not found: gone.md",
+        `  included from ${shown(path.join(root, "a.md"))}:2`,
+        `  included from ${shown(main)}:1`,
+      ].join("\n"),
+    }
+  );
+});
+
+test("include cycles are reported with their path", (t) => {
+  const root = makeTree({
+    "a.md": "# A\n\n\n<!-- include: b.md -->\n",
+    "b.md": "# B\n<!-- include: a.md -->\n",
+  });
+  t.after(() => removeTree(root));
+  const a = path.join(root, "a.md");
+  const b = path.join(root, "b.md");
+
+  assert.throws(
+    () => expandIncludes(makeDocument(a, "# A\n\n\n<!-- include: b.md -->")),
+    {
+      message: `Include cycle: ${shown(a)}:4 -> ${shown(b)}:2 -> ${shown(a)}`,
+    }
+  );
+});
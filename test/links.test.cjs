@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  parseDocumentLink,
+  createFileLinks,
+  createCombinedLinks,
+  rewriteDocumentLinks,
+} = require("../src/links.cjs");
+const {
+  createMarkdown,
+  makeTree,
+  removeTree,
+  makeDocument,
+  recordingLogger,
+} = require("./helpers.cjs");
+
+test("parseDocumentLink only picks up relative Markdown links", () => {
+  const source = path.resolve("/docs/guide/setup.md");
+
+  assert.deepEqual(parseDocumentLink("../intro.md#first%20steps", source), {
+    file: path.resolve("/docs/intro.md"),
+    fragment: "first steps",
+  });
+  assert.deepEqual(parseDocumentLink("#usage", source), {
+    file: source,
+    fragment: "usage",
+  });
+  assert.equal(parseDocumentLink("https://example.com/a.md", source), null);
+  assert.equal(parseDocumentLink("/a.md", source), null);
+  assert.equal(parseDocumentLink("image.png", source), null);
+});
+
+test("file links point at outputs relative to the linking page", (t) => {
+  const root = makeTree({ "orphan.md": "# Orphan\n" });
+  t.after(() => removeTree(root));
+  const file = (name) => path.join(root, name);
+  const links = createFileLinks(
+    [
+      makeDocument(file("intro.md"), "# Intro\n\n## Next steps\n"),
+      makeDocument(file("guide/setup.md"), "# Setup\n"),
+    ],
+    ".html",
+    createMarkdown()
+  );
+  const resolve = (href, sourceFile) =>
+    links.resolve(parseDocumentLink(href, sourceFile), sourceFile);
+
+  assert.deepEqual(resolve("../intro.md#next-steps", file("guide/setup.md")), {
+    href: "../intro.html#next-steps",
+  });
+  assert.deepEqual(resolve("guide/setup.md", file("intro.md")), {
+    href: "guide/setup.html",
+  });
+  assert.deepEqual(resolve("#next-steps", file("intro.md")), {
+    href: "#next-steps",
+  });
+  assert.deepEqual(resolve("guide/setup.md#nope", file("intro.md")), {
+    href: "guide/setup.html#nope",
+    error: "anchor #nope not found",
+  });
+  assert.deepEqual(resolve("orphan.md", file("intro.md")), {
+    error: "not part of this build",
+  });
+  assert.deepEqual(resolve("missing.md", file("intro.md")), {
+    error: "file not found",
+  });
+});
+
+test("combined links land on the renamed chapter ids", () => {
+  const file = path.resolve("/docs/setup.md");
+  const links = createCombinedLinks(
+    new Map([[file, { id: "setup", ids: new Map([["usage", "usage-1"]]) }]])
+  );
+
+  assert.deepEqual(links.resolve({ file, fragment: "" }), { href: "#setup" });
+  assert.deepEqual(links.resolve({ file, fragment: "usage" }), {
+    href: "#usage-1",
+  });
+  assert.deepEqual(links.resolve({ file, fragment: "gone" }), {
+    href: "#setup",
+    error: "anchor #gone not found",
+  });
+});
+
+test("rewriteDocumentLinks rewrites hrefs and reports broken ones", () => {
+  const source = path.resolve("/docs/intro.md");
+  const links = {
+    resolve: ({ file, fragment }) =>
+      path.basename(file) === "setup.md"
+        ? { href: `setup.html${fragment ? `#${fragment}` : ""}` }
+        : { error: "file not found" },
+  };
+  const logger = recordingLogger();
+  const html = [
+    '<a href="setup.md?x=1&amp;y=2">Setup</a>',
+    '<a href="gone.md">Gone</a>',
+    '<a href="#fn1">1</a><li id="fn1">Note</li>',
+    '<a href="https://example.com/a.md">External</a>',
+  ].join("\n");
+
+  assert.equal(
+    rewriteDocumentLinks(html, source, links, logger),
+    [
+      '<a href="setup.html">Setup</a>',
+      '<a href="gone.md">Gone</a>',
+      '<a href="#fn1">1</a><li id="fn1">Note</li>',
+      '<a href="https://example.com/a.md">External</a>',
+    ].join("\n")
+  );
+  assert.deepEqual(logger.warnings, [
+    `Warning: Broken links in ${source}:\n  gone.md (file not found)`,
+  ]);
+});
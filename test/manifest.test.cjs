@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  parseSummary,
+  flattenChapters,
+  loadManifest,
+  applyManifest,
+} = require("../src/manifest.cjs");
+const { makeTree, removeTree, recordingLogger } = require("./helpers.cjs");
+
+const SUMMARY = `# Summary
+
+- [Introduction](intro.md)
+
+# Guide
+
+- [Setup](guide/setup.md)
+  - [Advanced setup](guide/advanced.md)
+- [Draft chapter]()
+- [Website](https://example.com)
+`;
+
+test("parseSummary reads parts, nesting, titles and source lines", () => {
+  const manifestFile = path.resolve("/book/SUMMARY.md");
+  const entries = parseSummary(SUMMARY, manifestFile);
+
+  assert.deepEqual(
+    entries.map(({ file, title, part, depth }) => ({
+      file: path.relative("/book", file),
+      title,
+      part,
+      depth,
+    })),
+    [
+      { file: "intro.md", title: "Introduction", part: null, depth: 0 },
+      {
+        file: path.join("guide", "setup.md"),
+        title: "Setup",
+        part: "Guide",
+        depth: 0,
+      },
+      {
+        file: path.join("guide", "advanced.md"),
+        title: "Advanced setup",
+        part: "Guide",
+        depth: 1,
+      },
+    ]
+  );
+  assert.match(entries[1].source, /SUMMARY\.md:7$/);
+});
+
+test("flattenChapters turns config chapters into manifest entries", () => {
+  const entries = flattenChapters([
+    "intro.md",
+    {
+      part: "Guide",
+      chapters: [
+        { file: "setup.md", title: "Setup", chapters: ["advanced.md"] },
+      ],
+    },
+  ]);
+
+  assert.deepEqual(
+    entries.map(({ file, title, part, depth }) => [
+      path.basename(file),
+      title,
+      part,
+      depth,
+    ]),
+    [
+      ["intro.md", undefined, null, 0],
+      ["setup.md", "Setup", "Guide", 0],
+      ["advanced.md", undefined, "Guide", 1],
+    ]
+  );
+});
+
+test("applyManifest orders files as listed and appends unlisted ones", (t) => {
+  const root = makeTree({
+    "SUMMARY.md": "- [B](b.md)\n- [A](a.md)\n",
+    "a.md": "# A\n",
+    "b.md": "# B\n",
+    "c.md": "# C\n",
+  });
+  t.after(() => removeTree(root));
+  const file = (name) => path.join(root, name);
+  const logger = recordingLogger();
+
+  const manifest = loadManifest({ inputs: [root] });
+  const { files, chapters } = applyManifest(
+    [file("a.md"), file("b.md"), file("c.md"), file("SUMMARY.md")],
+    manifest,
+    logger
+  );
+
+  assert.deepEqual(files, [file("b.md"), file("a.md"), file("c.md")]);
+  assert.equal(chapters.get(file("a.md")).title, "A");
+  assert.deepEqual(logger.warnings, [
+    `Warning: Not listed in SUMMARY.md, appended at the end: ${file("c.md")}`,
+  ]);
+});
+
+test("applyManifest warns about listed chapters missing from the inputs", (t) => {
+  const root = makeTree({
+    "SUMMARY.md": "- [A](a.md)\n- [B](b.md)\n",
+    "a.md": "# A\n",
+    "b.md": "# B\n",
+  });
+  t.after(() => removeTree(root));
+  const logger = recordingLogger();
+
+  const { files } = applyManifest(
+    [path.join(root, "a.md")],
+    loadManifest({ inputs: [root] }),
+    logger
+  );
+
+  assert.deepEqual(files, [path.join(root, "a.md")]);
+  assert.equal(logger.warnings.length, 1);
+  assert.match(
+    logger.warnings[0],
+    /SUMMARY\.md:2: \[chapter\] .*b\.md: not among the input files, left out$/
+  );
+});
+
+test("applyManifest rejects chapters whose file does not exist", (t) => {
+  const root = makeTree({ "SUMMARY.md": "- [Gone](gone.md)\n" });
+  t.after(() => removeTree(root));
+
+  assert.throws(
+    () =>
+      applyManifest([], loadManifest({ inputs: [root] }), recordingLogger()),
+    /^Error: Chapter file not found: .*gone\.md \(listed in .*SUMMARY\.md:1\)$/
+  );
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createMarkdown,
+  uniqueSlug,
+  extractHeadings,
+  generateTOC,
+  placeTOC,
+} = require("../src/markdown.cjs");
+
+test("uniqueSlug numbers repeated headings", () => {
+  const used = new Set();
+  assert.deepEqual(
+    ["Setup", "Setup", "Setup!", "Über uns", "???"].map((text) =>
+      uniqueSlug(text, used)
+    ),
+    ["setup", "setup-1", "setup-2", "uber-uns", "section"]
+  );
+});
+
+test("heading ids come from the parsed headings only", () => {
+  const md = createMarkdown();
+  const content = [
+    "# Getting `started`",
+    "",
+    "Setext heading",
+    "==============",
+    "",
+    "```sh",
+    "# not a heading",
+    "```",
+    "",
+    "## [Linked](other.md) heading",
+    "",
+    "## Getting started",
+  ].join("\n");
+
+  assert.deepEqual(extractHeadings(content, md), [
+    { level: 1, text: "Getting started", id: "getting-started" },
+    { level: 1, text: "Setext heading", id: "setext-heading" },
+    { level: 2, text: "Linked heading", id: "linked-heading" },
+    { level: 2, text: "Getting started", id: "getting-started-1" },
+  ]);
+});
+
+test("ids set with attribute syntax are kept and reserved", () => {
+  const md = createMarkdown({ syntax: { attributes: true } });
+  const headings = extractHeadings("# Intro {#start}\n\n# Start\n", md);
+  assert.deepEqual(
+    headings.map(({ id }) => id),
+    ["start", "start-1"]
+  );
+});
+
+test("shared usedIds keep ids unique across documents", () => {
+  const md = createMarkdown();
+  const usedIds = new Set();
+  const second = { usedIds };
+  md.parse("# Intro\n", { usedIds });
+  md.parse("# Intro\n", second);
+  assert.deepEqual(
+    second.headings.map(({ id }) => id),
+    ["intro-1"]
+  );
+});
+
+test("generateTOC lists the configured levels and shifts them", () => {
+  const toc = generateTOC(
+    [
+      { level: 1, text: "Title", id: "title" },
+      { level: 2, text: "A & B", id: "a-b" },
+      { level: 3, text: "Detail", id: "detail" },
+      { level: 4, text: "Too deep", id: "too-deep" },
+    ],
+    null,
+    { minLevel: 2, maxLevel: 3 }
+  );
+
+  assert.match(toc, /<li class="toc-level-1"><a href="#a-b">A &amp; B<\/a>/);
+  assert.match(toc, /<li class="toc-level-2"><a href="#detail">Detail/);
+  assert.doesNotMatch(toc, /title|too-deep/);
+});
+
+test("placeTOC fills the first [[toc]] and drops the others", () => {
+  const md = createMarkdown();
+  const body = md.render("[[toc]]\n\nText\n\n[[toc]]\n");
+  assert.equal(placeTOC(body, "TOC"), "TOC\n<p>Text</p>\n\n");
+  assert.equal(placeTOC("<p>No marker</p>", "TOC"), null);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { checkDocuments, formatReport } = require("../src/references.cjs");
+const {
+  createMarkdown,
+  makeTree,
+  removeTree,
+  makeDocument,
+} = require("./helpers.cjs");
+
+const options = {
+  md: createMarkdown(),
+  imagePathConfig: { enableRemapping: false, pathMappings: [] },
+};
+
+test("check reports broken links, anchors and images with their lines", (t) => {
+  const root = makeTree({});
+  t.after(() => removeTree(root));
+  const intro = path.join(root, "intro.md");
+  const setup = path.join(root, "setup.md");
+  const documents = [
+    makeDocument(
+      intro,
+      [
+        "# Intro",
+        "",
+        "[Setup](setup.md#install) and [gone](gone.md)",
+        "",
+        "![Missing](missing.png) and [up](#nowhere)",
+      ].join("\n")
+    ),
+    makeDocument(setup, "# Setup\n\n## Install\n"),
+  ];
+
+  const report = checkDocuments(documents, options);
+  assert.equal(
+    formatReport(report),
+    [
+      `${intro}:3: [link] gone.md: Broken link (file not found)`,
+      `${intro}:5: [image] missing.png: Image not found: ${path.join(
+        root,
+        "missing.png"
+      )}`,
+      `${intro}:5: [anchor] #nowhere: Broken anchor (anchor #nowhere not found)`,
+      "3 problems in 1 file (2 documents checked)",
+    ].join("\n")
+  );
+});
+
+test("in-page anchors may target any id on the rendered page", () => {
+  const file = path.resolve("/docs/notes.md");
+  const document = makeDocument(
+    file,
+    [
+      "# Notes",
+      "",
+      '<a id="custom"></a>',
+      "",
+      "See [above](#custom) and the note.[^1] Back to [top](#notes).",
+      "",
+      "[^1]: A footnote, linked as [#fn1](#fn1).",
+    ].join("\n")
+  );
+
+  const report = checkDocuments([document], options);
+  assert.deepEqual(report.problems, []);
+  assert.match(formatReport(report), /^No problems found in 1 documents/);
+});